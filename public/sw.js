@@ -105,6 +105,253 @@ self.addEventListener("fetch", (event) => {
   );
 });
 
+// Notification protocol, mirrored in src/App.jsx: the page posts
+// { type: "SHOW_NOTIFICATION", title, options } with a MessagePort and gets
+// { type: "NOTIFICATION_RESULT", ok, error } back on it. Push messages and
+// test notifications are built the same way, so icons, tags, actions,
+// vibration and data.taskId look alike whichever path shows them.
+const NOTIFICATION_DEFAULTS = {
+  icon: "/icons/icon-192.png",
+  badge: "/icons/icon-72.png",
+  requireInteraction: false,
+  silent: false,
+};
+
+function buildNotificationOptions(options = {}) {
+  const defined = Object.fromEntries(
+    Object.entries(options).filter(([, value]) => value !== undefined)
+  );
+  return {
+    ...NOTIFICATION_DEFAULTS,
+    tag: "chronotask-reminder",
+    ...defined,
+    data: defined.data || {},
+  };
+}
+
+function showAppNotification(title, options) {
+  return self.registration.showNotification(
+    title || "ChronoTask Pro",
+    buildNotificationOptions(options)
+  );
+}
+
+// Task store. The worker opens the page's IndexedDB database (see
+// src/App.jsx) without a version so it never upgrades it; the page owns the
+// schema. Changes are announced on the page's sync channel so open windows
+// update straight away.
+const DB_NAME = "chronotask.pro";
+const TASKS_STORE = "tasks";
+const HISTORY_STORE = "history";
+const REMINDERS_STORE = "reminders";
+const SYNC_CHANNEL_NAME = "chronotask.sync";
+const WORKER_SOURCE_ID = "service-worker";
+const SNOOZE_ACTION_MINUTES = { "snooze-10m": 10, "snooze-1h": 60 };
+
+function genId() {
+  return (
+    (self.crypto.randomUUID && self.crypto.randomUUID()) ||
+    `id-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`
+  );
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionToPromise(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function openTaskDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME);
+    // No database yet means the app never ran; don't create an empty one
+    request.onupgradeneeded = () => request.transaction.abort();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error || new Error("No task store"));
+  });
+}
+
+function broadcastSync(type, payload = {}) {
+  const channel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+  channel.postMessage({
+    ...payload,
+    type,
+    id: genId(),
+    sourceId: WORKER_SOURCE_ID,
+  });
+  channel.close();
+}
+
+function getTrackedMs(task, nowMs) {
+  return (task.timeEntries || []).reduce(
+    (sum, entry) =>
+      sum +
+      Math.max(
+        0,
+        (entry.endUtc ? new Date(entry.endUtc).getTime() : nowMs) -
+          new Date(entry.startUtc).getTime()
+      ),
+    0
+  );
+}
+
+// Same shape as the page's addToHistory entries
+function createHistoryEntry(action, task, changes = []) {
+  const now = new Date().toISOString();
+  return {
+    id: genId(),
+    timestamp: now,
+    action,
+    taskId: task.id,
+    taskTitle: task.title,
+    clientName: task.clientName,
+    clientCountry: task.clientCountry,
+    dueUtc: task.dueUtc,
+    notes: task.notes,
+    oldValue: null,
+    newValue: null,
+    changes,
+    completedAt: action === "completed" ? now : null,
+    trackedMs: getTrackedMs(task, Date.now()),
+    snapshot: null,
+  };
+}
+
+// Mirrors the page's toggleComplete and snoozeTask for one task. Repeating
+// tasks keep `pendingCompletionUtc` so the page can create the next
+// occurrence, which needs the recurrence rules that live there.
+function applyTaskAction(action, task) {
+  const now = new Date().toISOString();
+  // Finished from another window since the notification was shown
+  if (task.completed) return null;
+
+  if (action === "done") {
+    const updated = {
+      ...task,
+      completed: true,
+      timeEntries: (task.timeEntries || []).map((entry) =>
+        entry.endUtc ? entry : { ...entry, endUtc: now }
+      ),
+      ...(task.recurrence && { pendingCompletionUtc: now }),
+    };
+    return {
+      task: updated,
+      historyEntry: createHistoryEntry("completed", updated),
+    };
+  }
+
+  const dueUtc = new Date(
+    Date.now() + SNOOZE_ACTION_MINUTES[action] * 60 * 1000
+  ).toISOString();
+  // With no window open nothing reschedules reminders for the new due
+  // time, so the snooze carries its own one-off reminder, keyed the way the
+  // page's schedule keys it
+  const updated = {
+    ...task,
+    dueUtc,
+    snoozeCount: (task.snoozeCount || 0) + 1,
+    snoozedUntil: dueUtc,
+  };
+  // A snoozed occurrence shouldn't shift the rest of its series
+  if (task.recurrence) {
+    updated.occurrenceOverrides = {
+      dueUtc: task.dueUtc,
+      ...(task.occurrenceOverrides || {}),
+    };
+  }
+  return {
+    task: updated,
+    historyEntry: createHistoryEntry("snoozed", updated, [
+      { field: "dueUtc", from: task.dueUtc, to: dueUtc },
+    ]),
+    reminder: {
+      key: `task-${task.id}-snooze@${dueUtc}`,
+      taskId: task.id,
+      dueUtc,
+      atUtc: dueUtc,
+      deliveredAtUtc: null,
+    },
+  };
+}
+
+// Applies a notification action to the stored task and its history in one
+// transaction. Resolves to the updated task, or null when nothing changed.
+async function updateStoredTask(action, taskId) {
+  const db = await openTaskDatabase();
+  try {
+    const transaction = db.transaction(
+      [TASKS_STORE, HISTORY_STORE, REMINDERS_STORE],
+      "readwrite"
+    );
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+
+    const record = await requestToPromise(
+      transaction.objectStore(TASKS_STORE).get(taskId)
+    );
+    // Completed is stored as 0/1 so it can be indexed
+    const task = record && { ...record, completed: record.completed === 1 };
+    const result = task && !task.deletedAtUtc && applyTaskAction(action, task);
+    if (!result) {
+      await done;
+      return null;
+    }
+
+    transaction
+      .objectStore(TASKS_STORE)
+      .put({ ...result.task, completed: result.task.completed ? 1 : 0 });
+    transaction.objectStore(HISTORY_STORE).put(result.historyEntry);
+    if (result.reminder) {
+      transaction.objectStore(REMINDERS_STORE).put(result.reminder);
+    }
+    await done;
+
+    broadcastSync("TASKS_CHANGED", {
+      changedTasks: [result.task],
+      removedIds: [],
+    });
+    broadcastSync("HISTORY_CHANGED");
+    return result.task;
+  } finally {
+    db.close();
+  }
+}
+
+async function handleTaskAction(action, taskId) {
+  try {
+    const task = await updateStoredTask(action, taskId);
+    if (!task) return;
+
+    const clientList = await self.clients.matchAll({ type: "window" });
+    clientList.forEach((client) =>
+      client.postMessage({
+        type: "NOTIFICATION_ACTION_APPLIED",
+        action,
+        taskId,
+        taskTitle: task.title,
+      })
+    );
+  } catch (error) {
+    console.error("ChronoTask Pro: Failed to update task:", error);
+    await showAppNotification("ChronoTask Pro", {
+      body: "Couldn't update the task. Open the app to try again.",
+      tag: `action-failed-${taskId}`,
+    });
+  }
+}
+
 // Push event - handle push notifications
 self.addEventListener("push", (event) => {
   console.log("ChronoTask Pro: Push event received", event);
@@ -132,10 +379,9 @@ self.addEventListener("push", (event) => {
 
   const options = {
     body: data.body || "Task reminder",
-    icon: data.icon || "/icons/icon-192.png",
-    badge: "/icons/icon-72.png",
-    tag: data.tag || "chronotask-reminder",
-    requireInteraction: data.requireInteraction || false,
+    icon: data.icon,
+    tag: data.tag,
+    requireInteraction: data.requireInteraction,
     actions: data.actions || [
       {
         action: "view",
@@ -146,17 +392,12 @@ self.addEventListener("push", (event) => {
         title: "Dismiss",
       },
     ],
-    data: data.data || {},
+    vibrate: data.vibrate,
+    data: data.data,
   };
 
-  // Add vibration pattern for mobile devices if available
-  if (data.vibrate) {
-    options.vibrate = data.vibrate;
-  }
-
   event.waitUntil(
-    self.registration
-      .showNotification(data.title || "ChronoTask Pro", options)
+    showAppNotification(data.title, options)
       .then(() => {
         console.log("ChronoTask Pro: Notification shown successfully");
       })
@@ -180,6 +421,14 @@ self.addEventListener("notificationclick", (event) => {
     return;
   }
 
+  // Task actions are applied here, without opening a window
+  if (action === "done" || SNOOZE_ACTION_MINUTES[action]) {
+    if (notificationData && notificationData.taskId) {
+      event.waitUntil(handleTaskAction(action, notificationData.taskId));
+    }
+    return;
+  }
+
   // Default action - focus or open the app
   event.waitUntil(
     self.clients
@@ -230,15 +479,33 @@ self.addEventListener("message", (event) => {
     self.skipWaiting();
   }
 
+  if (event.data && event.data.type === "SHOW_NOTIFICATION") {
+    const port = event.ports && event.ports[0];
+    const reply = (result) => {
+      if (port) {
+        port.postMessage({ type: "NOTIFICATION_RESULT", ...result });
+      }
+    };
+
+    event.waitUntil(
+      showAppNotification(event.data.title, event.data.options)
+        .then(() => reply({ ok: true }))
+        .catch((error) => {
+          console.error("ChronoTask Pro: Failed to show notification:", error);
+          reply({ ok: false, error: error.message });
+        })
+    );
+  }
+
   if (event.data && event.data.type === "TEST_NOTIFICATION") {
     // Test notification from the main app
-    self.registration.showNotification("Test Notification", {
-      body: "This is a test notification from the service worker",
-      icon: "/icons/icon-192.png",
-      badge: "/icons/icon-72.png",
-      tag: "test-notification",
-      requireInteraction: true,
-    });
+    event.waitUntil(
+      showAppNotification("Test Notification", {
+        body: "This is a test notification from the service worker",
+        tag: "test-notification",
+        requireInteraction: true,
+      })
+    );
   }
 });
 
@@ -277,7 +544,132 @@ self.addEventListener("periodicsync", (event) => {
   }
 });
 
+// Same actions the page puts on reminders; see handleTaskAction
+const REMINDER_ACTIONS = [
+  { action: "done", title: "✅ Mark done" },
+  { action: "snooze-10m", title: "😴 Snooze 10 min" },
+];
+
+function formatDueUtc(iso) {
+  return `${new Intl.DateTimeFormat("en-US", {
+    timeZone: "UTC",
+    dateStyle: "medium",
+    timeStyle: "short",
+  }).format(new Date(iso))} UTC`;
+}
+
+function showBackgroundReminder(task) {
+  const overdue = new Date(task.dueUtc).getTime() <= Date.now();
+  return showAppNotification(`⏰ ${task.title}`, {
+    body: `${overdue ? "🔔 Overdue since" : "Due:"} ${formatDueUtc(
+      task.dueUtc
+    )}\nClient: ${task.clientName || "N/A"}`,
+    icon: overdue ? "/icons/urgent.png" : "/icons/reminder.png",
+    tag: `reminder-${task.id}`,
+    requireInteraction: overdue || task.priority <= 2,
+    actions: REMINDER_ACTIONS,
+    data: { taskId: task.id },
+  });
+}
+
+// Same wording as describeMissedReminders in src/App.jsx
+function showMissedRemindersSummary(groups) {
+  const total = groups.reduce((sum, group) => sum + group.count, 0);
+  const lines = groups
+    .slice(0, 5)
+    .map(
+      (group) =>
+        `• ${group.task.title}${group.count > 1 ? ` (${group.count})` : ""}`
+    );
+  if (groups.length > 5) lines.push(`…and ${groups.length - 5} more tasks`);
+
+  return showAppNotification(
+    `🔔 You missed ${total} reminder${total === 1 ? "" : "s"}`,
+    {
+      body: lines.join("\n"),
+      icon: "/icons/reminder.png",
+      tag: "missed-reminders",
+      requireInteraction: true,
+    }
+  );
+}
+
+// Delivers reminders the page scheduled (see syncReminderSchedule in
+// src/App.jsx) that came due while no window was open. A single task gets
+// its own reminder; several are grouped into one summary.
+// Re-reads each record, since an app window may have replaced the schedule
+// while the notification was showing
+async function markRemindersDelivered(db, keys, deliveredAtUtc) {
+  if (keys.length === 0) return;
+
+  const transaction = db.transaction(REMINDERS_STORE, "readwrite");
+  const store = transaction.objectStore(REMINDERS_STORE);
+  for (const key of keys) {
+    const record = await requestToPromise(store.get(key));
+    if (record && !record.deliveredAtUtc) {
+      store.put({ ...record, deliveredAtUtc });
+    }
+  }
+  await transactionToPromise(transaction);
+}
+
 async function doPeriodicSync() {
   console.log("ChronoTask Pro: Performing periodic sync...");
-  // Check for due tasks and show notifications
+
+  // An open window delivers reminders itself
+  const windows = await self.clients.matchAll({ type: "window" });
+  if (windows.length > 0 || Notification.permission !== "granted") return;
+
+  const db = await openTaskDatabase();
+  try {
+    const transaction = db.transaction([TASKS_STORE, REMINDERS_STORE]);
+    const reminderStore = transaction.objectStore(REMINDERS_STORE);
+    const taskStore = transaction.objectStore(TASKS_STORE);
+    const now = new Date().toISOString();
+
+    const dueReminders = (
+      await requestToPromise(
+        reminderStore.index("atUtc").getAll(IDBKeyRange.upperBound(now))
+      )
+    ).filter((reminder) => !reminder.deliveredAtUtc);
+
+    // taskId -> { task, count }
+    const groups = new Map();
+    for (const reminder of dueReminders) {
+      if (groups.has(reminder.taskId)) {
+        groups.get(reminder.taskId).count += 1;
+        continue;
+      }
+
+      const task = await requestToPromise(taskStore.get(reminder.taskId));
+      // Skip tasks finished, deleted or rescheduled since it was scheduled
+      if (
+        task &&
+        task.completed !== 1 &&
+        !task.deletedAtUtc &&
+        task.dueUtc === reminder.dueUtc
+      ) {
+        groups.set(task.id, { task, count: 1 });
+      }
+    }
+    await transactionToPromise(transaction);
+
+    if (groups.size === 1) {
+      await showBackgroundReminder([...groups.values()][0].task);
+    } else if (groups.size > 1) {
+      await showMissedRemindersSummary([...groups.values()]);
+    }
+
+    // Only once shown, so a failed notification is retried on the next
+    // sync. Reminders of skipped tasks are settled too.
+    await markRemindersDelivered(
+      db,
+      dueReminders.map((reminder) => reminder.key),
+      now
+    );
+  } catch (error) {
+    console.error("ChronoTask Pro: Background reminder check failed:", error);
+  } finally {
+    db.close();
+  }
 }
@@ -2,23 +2,280 @@
 // Industry-Grade React Todo Application with PWA & iOS Support
 // -------------------------------------------------------------------------
 
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, {
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
 
 // ---------------------- Constants ----------------------
 
+// Legacy localStorage keys - imported into IndexedDB once, then removed
 const STORAGE_KEY = "todoapp.tasks.pro";
 const HISTORY_STORAGE_KEY = "todoapp.history.pro";
+const DB_NAME = "chronotask.pro";
+const DB_VERSION = 3;
+const TASKS_STORE = "tasks";
+const HISTORY_STORE = "history";
+const SETTINGS_STORE = "settings";
+// Upcoming reminders, written by the page and read by public/sw.js
+const REMINDERS_STORE = "reminders";
+const MAX_HISTORY_ENTRIES = 500;
+const UNDO_STACK_LIMIT = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRASH_RETENTION_OPTIONS = [1, 7, 14, 30, 60, 90];
+const INBOX_PROJECT_ID = "inbox";
+const CURRENCIES = ["USD", "EUR", "GBP", "BDT", "INR", "CAD", "AUD", "JPY"];
+const DEFAULT_SETTINGS = {
+  trashRetentionDays: 30,
+  // clientName -> { rate, currency }; rates are per hour
+  clientRates: {},
+  defaultCurrency: "USD",
+  // Reminder schedule for tasks without their own (see Reminders below)
+  defaultReminders: [
+    { secondsBefore: 5 * 3600 },
+    { secondsBefore: 2 * 3600 },
+    { secondsBefore: 3600 },
+    { secondsBefore: 30 * 60 },
+    { secondsBefore: 10 * 60 },
+    { secondsBefore: 30 },
+    { secondsBefore: 10 },
+  ],
+  // Client directory: { id, name, country, timezone, contactName, email,
+  // phone, notes, createdAtUtc }. Tasks link to it through `clientId`.
+  clients: [],
+  projects: [
+    {
+      id: INBOX_PROJECT_ID,
+      name: "Inbox",
+      archived: false,
+      createdAtUtc: null,
+    },
+  ],
+};
+const SYNC_CHANNEL_NAME = "chronotask.sync";
+const SYNC_STORAGE_KEY = "chronotask.sync.message";
+const REMINDER_LOCK_NAME = "chronotask.reminder-leader";
 const APP_TITLE = "ChronoTask Pro";
-const NOTIFICATION_LEVELS = [
-  { hours: 5, label: "5 hours", color: "text-blue-600" },
-  { hours: 2, label: "2 hours", color: "text-indigo-600" },
-  { hours: 1, label: "1 hour", color: "text-purple-600" },
-  { hours: 0.5, label: "30 minutes", color: "text-orange-600" },
-  { hours: 10 / 60, label: "10 minutes", color: "text-red-600" },
-  { seconds: 30, label: "30 seconds", color: "text-rose-600" },
-  { seconds: 10, label: "10 seconds", color: "text-rose-600" },
+// Reminders fire if a check lands within this long after their time; later
+// than that they count as missed. Leaves room for throttled background tabs.
+const REMINDER_WINDOW_MS = 2 * 60 * 1000;
+// Must match the periodicsync tag handled in public/sw.js
+const BACKGROUND_REMINDER_SYNC_TAG = "periodic-task-updates";
+// A hint; browsers decide how often periodic sync really runs
+const BACKGROUND_REMINDER_INTERVAL_MS = 15 * 60 * 1000;
+// How long to wait for a worker that's still installing
+const SW_READY_TIMEOUT_MS = 10 * 1000;
+const BACKGROUND_REMINDER_STATES = {
+  checking: {
+    icon: "⏳",
+    label: "Checking background reminders...",
+    color: "text-slate-500",
+  },
+  active: {
+    icon: "🌙",
+    label:
+      "Background reminders active: due tasks are checked while the app is closed",
+    color: "text-emerald-600",
+  },
+  "needs-permission": {
+    icon: "🔕",
+    label: "Background reminders need notification permission",
+    color: "text-amber-600",
+  },
+  "needs-install": {
+    icon: "📲",
+    label:
+      "Background reminders need the app to be installed; keep a tab open until then",
+    color: "text-amber-600",
+  },
+  unsupported: {
+    icon: "🚫",
+    label:
+      "This browser can't check reminders in the background; keep a tab open",
+    color: "text-rose-600",
+  },
+  error: {
+    icon: "⚠️",
+    label: "Background reminders couldn't be set up",
+    color: "text-rose-600",
+  },
+};
+
+// Lower number = more important. High priorities get extra, earlier
+// reminders and notifications that stay until dismissed.
+const PRIORITY_LEVELS = {
+  1: {
+    label: "P1",
+    name: "Critical",
+    color: "text-rose-700",
+    bg: "bg-rose-50",
+    border: "border-rose-200",
+    requireInteraction: true,
+    extraReminders: [
+      { secondsBefore: 24 * 3600 },
+      { secondsBefore: 12 * 3600 },
+    ],
+  },
+  2: {
+    label: "P2",
+    name: "High",
+    color: "text-orange-700",
+    bg: "bg-orange-50",
+    border: "border-orange-200",
+    requireInteraction: true,
+    extraReminders: [{ secondsBefore: 12 * 3600 }],
+  },
+  3: {
+    label: "P3",
+    name: "Normal",
+    color: "text-sky-700",
+    bg: "bg-sky-50",
+    border: "border-sky-200",
+    requireInteraction: false,
+    extraReminders: [],
+  },
+  4: {
+    label: "P4",
+    name: "Low",
+    color: "text-slate-600",
+    bg: "bg-slate-100",
+    border: "border-slate-200",
+    requireInteraction: false,
+    extraReminders: [],
+  },
+};
+const DEFAULT_PRIORITY = 3;
+
+// Tag chips get a stable color picked by hashing the tag name
+const TAG_COLORS = [
+  "bg-emerald-50 text-emerald-700 border-emerald-200",
+  "bg-amber-50 text-amber-700 border-amber-200",
+  "bg-fuchsia-50 text-fuchsia-700 border-fuchsia-200",
+  "bg-cyan-50 text-cyan-700 border-cyan-200",
+  "bg-lime-50 text-lime-700 border-lime-200",
+  "bg-violet-50 text-violet-700 border-violet-200",
+  "bg-pink-50 text-pink-700 border-pink-200",
+  "bg-teal-50 text-teal-700 border-teal-200",
+];
+
+const HISTORY_ACTIONS = {
+  created: {
+    label: "Created",
+    icon: "➕",
+    color: "text-blue-600",
+    bg: "bg-blue-50",
+    iconBg: "bg-blue-100",
+  },
+  updated: {
+    label: "Updated",
+    icon: "✏️",
+    color: "text-amber-600",
+    bg: "bg-amber-50",
+    iconBg: "bg-amber-100",
+  },
+  rescheduled: {
+    label: "Rescheduled",
+    icon: "📅",
+    color: "text-sky-600",
+    bg: "bg-sky-50",
+    iconBg: "bg-sky-100",
+  },
+  snoozed: {
+    label: "Snoozed",
+    icon: "😴",
+    color: "text-violet-600",
+    bg: "bg-violet-50",
+    iconBg: "bg-violet-100",
+  },
+  completed: {
+    label: "Completed",
+    icon: "✅",
+    color: "text-green-600",
+    bg: "bg-green-50",
+    iconBg: "bg-green-100",
+  },
+  uncompleted: {
+    label: "Re-opened",
+    icon: "↩️",
+    color: "text-purple-600",
+    bg: "bg-purple-50",
+    iconBg: "bg-purple-100",
+  },
+  trashed: {
+    label: "Moved to Trash",
+    icon: "🗑️",
+    color: "text-orange-600",
+    bg: "bg-orange-50",
+    iconBg: "bg-orange-100",
+  },
+  deleted: {
+    label: "Deleted",
+    icon: "❌",
+    color: "text-rose-600",
+    bg: "bg-rose-50",
+    iconBg: "bg-rose-100",
+  },
+  restored: {
+    label: "Restored",
+    icon: "♻️",
+    color: "text-emerald-600",
+    bg: "bg-emerald-50",
+    iconBg: "bg-emerald-100",
+  },
+  undone: {
+    label: "Undone",
+    icon: "↶",
+    color: "text-slate-600",
+    bg: "bg-slate-100",
+    iconBg: "bg-slate-200",
+  },
+  redone: {
+    label: "Redone",
+    icon: "↷",
+    color: "text-slate-600",
+    bg: "bg-slate-100",
+    iconBg: "bg-slate-200",
+  },
+};
+
+// Fields recorded as per-field diffs on "updated" history entries
+const TRACKED_TASK_FIELDS = {
+  title: "Title",
+  notes: "Notes",
+  clientName: "Client",
+  clientCountry: "Country",
+  dueUtc: "Due",
+  recurrence: "Repeat",
+  subtasks: "Checklist",
+  priority: "Priority",
+  tags: "Tags",
+  projectId: "Project",
+  blockedBy: "Blocked by",
+  billable: "Billable",
+  timezone: "Timezone",
+  reminders: "Reminders",
+};
+
+const WEEKDAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
 ];
 
+const RECURRENCE_FREQUENCIES = {
+  daily: "Daily",
+  weekly: "Weekly",
+  monthly: "Monthly",
+  afterCompletion: "After completion",
+};
+
 const PWA_CONFIG = {
   appName: "ChronoTask Pro",
   shortName: "ChronoTask",
@@ -26,31 +283,538 @@ const PWA_CONFIG = {
   backgroundColor: "#ffffff",
 };
 
-// ---------------------- Custom Hooks ----------------------
+// ---------------------- IndexedDB Repository ----------------------
 
-const useLocalStorage = (key, initialValue) => {
-  const [storedValue, setStoredValue] = useState(() => {
-    try {
-      const item = window.localStorage.getItem(key);
-      return item ? JSON.parse(item) : initialValue;
-    } catch (error) {
-      console.error(`Error reading localStorage key "${key}":`, error);
-      return initialValue;
-    }
+// IndexedDB cannot index booleans, so `completed` is stored as 0/1
+const toTaskRecord = (task) => ({ ...task, completed: task.completed ? 1 : 0 });
+
+const fromTaskRecord = (record) => ({
+  ...record,
+  completed: record.completed === 1,
+});
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
   });
 
-  const setValue = (value) => {
-    try {
-      const valueToStore =
-        value instanceof Function ? value(storedValue) : value;
-      setStoredValue(valueToStore);
-      window.localStorage.setItem(key, JSON.stringify(valueToStore));
-    } catch (error) {
-      console.error(`Error setting localStorage key "${key}":`, error);
+const transactionToPromise = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+const readLegacyStorage = (key) => {
+  try {
+    const items = JSON.parse(localStorage.getItem(key) || "[]");
+    return Array.isArray(items) ? items.filter((item) => item && item.id) : [];
+  } catch (error) {
+    console.error(`Error reading legacy localStorage key "${key}":`, error);
+    return [];
+  }
+};
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!("indexedDB" in window)) {
+      reject(new Error("IndexedDB not supported in this browser"));
+      return;
     }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    let migratedLegacyData = false;
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+
+      if (event.oldVersion < 1) {
+        const taskStore = db.createObjectStore(TASKS_STORE, { keyPath: "id" });
+        taskStore.createIndex("dueUtc", "dueUtc");
+        taskStore.createIndex("clientName", "clientName");
+        taskStore.createIndex("completed", "completed");
+
+        const historyStore = db.createObjectStore(HISTORY_STORE, {
+          keyPath: "id",
+        });
+        historyStore.createIndex("timestamp", "timestamp");
+        historyStore.createIndex("taskId", "taskId");
+
+        // One-time import of the data written by the localStorage version.
+        // Runs inside the upgrade transaction, so it is all-or-nothing.
+        readLegacyStorage(STORAGE_KEY).forEach((task) =>
+          taskStore.put(toTaskRecord(task))
+        );
+        readLegacyStorage(HISTORY_STORAGE_KEY)
+          .slice(0, MAX_HISTORY_ENTRIES)
+          .forEach((entry) => historyStore.put(entry));
+        migratedLegacyData = true;
+      }
+
+      if (event.oldVersion < 2) {
+        db.createObjectStore(SETTINGS_STORE, { keyPath: "key" });
+      }
+
+      if (event.oldVersion < 3) {
+        const reminderStore = db.createObjectStore(REMINDERS_STORE, {
+          keyPath: "key",
+        });
+        reminderStore.createIndex("atUtc", "atUtc");
+        reminderStore.createIndex("taskId", "taskId");
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+
+      // Let a newer version in another tab upgrade the schema
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+
+      if (migratedLegacyData) {
+        localStorage.removeItem(STORAGE_KEY);
+        localStorage.removeItem(HISTORY_STORAGE_KEY);
+        console.log(
+          "Migrated tasks and history from localStorage to IndexedDB"
+        );
+      }
+
+      resolve(db);
+    };
+
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+// Keeps the history store at MAX_HISTORY_ENTRIES by dropping the oldest
+const pruneHistory = (store) => {
+  const countRequest = store.count();
+  countRequest.onsuccess = () => {
+    let excess = countRequest.result - MAX_HISTORY_ENTRIES;
+    if (excess <= 0) return;
+
+    const cursorRequest = store.index("timestamp").openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor || excess <= 0) return;
+      cursor.delete();
+      excess -= 1;
+      cursor.continue();
+    };
+  };
+};
+
+const taskRepository = {
+  async getAllTasks() {
+    const db = await openDatabase();
+    const store = db.transaction(TASKS_STORE).objectStore(TASKS_STORE);
+    const records = await requestToPromise(store.getAll());
+    return records
+      .map(fromTaskRecord)
+      .sort(
+        (a, b) =>
+          new Date(b.createdAtUtc).getTime() -
+          new Date(a.createdAtUtc).getTime()
+      );
+  },
+
+  // Writes changed tasks and removes deleted ones in a single transaction
+  async commitTaskChanges(changedTasks = [], removedIds = []) {
+    if (changedTasks.length === 0 && removedIds.length === 0) return;
+
+    const db = await openDatabase();
+    const transaction = db.transaction(TASKS_STORE, "readwrite");
+    const store = transaction.objectStore(TASKS_STORE);
+    changedTasks.forEach((task) => store.put(toTaskRecord(task)));
+    removedIds.forEach((id) => store.delete(id));
+    await transactionToPromise(transaction);
+
+    syncChannel.post("TASKS_CHANGED", { changedTasks, removedIds });
+  },
+
+  // Newest entries first, matching the order the UI renders them in
+  async getHistory() {
+    const db = await openDatabase();
+    const store = db.transaction(HISTORY_STORE).objectStore(HISTORY_STORE);
+    const entries = await requestToPromise(store.index("timestamp").getAll());
+    return entries.reverse();
+  },
+
+  async addHistoryEntries(entries) {
+    if (entries.length === 0) return;
+
+    const db = await openDatabase();
+    const transaction = db.transaction(HISTORY_STORE, "readwrite");
+    const store = transaction.objectStore(HISTORY_STORE);
+    entries.forEach((entry) => store.put(entry));
+    pruneHistory(store);
+    await transactionToPromise(transaction);
+
+    syncChannel.post("HISTORY_CHANGED");
+  },
+
+  async clearHistory() {
+    const db = await openDatabase();
+    const transaction = db.transaction(HISTORY_STORE, "readwrite");
+    transaction.objectStore(HISTORY_STORE).clear();
+    await transactionToPromise(transaction);
+
+    syncChannel.post("HISTORY_CHANGED");
+  },
+
+  // Stored settings merged over DEFAULT_SETTINGS
+  async getSettings() {
+    const db = await openDatabase();
+    const store = db.transaction(SETTINGS_STORE).objectStore(SETTINGS_STORE);
+    const records = await requestToPromise(store.getAll());
+    return records.reduce(
+      (settings, record) => ({ ...settings, [record.key]: record.value }),
+      DEFAULT_SETTINGS
+    );
+  },
+
+  async saveSetting(key, value) {
+    const db = await openDatabase();
+    const transaction = db.transaction(SETTINGS_STORE, "readwrite");
+    transaction.objectStore(SETTINGS_STORE).put({ key, value });
+    await transactionToPromise(transaction);
+
+    syncChannel.post("SETTINGS_CHANGED", { key, value });
+  },
+
+  // Replaces the stored schedule with `reminders` ({ key, taskId, dueUtc,
+  // atUtc }). Reminders already in the store keep their delivery state;
+  // new ones whose time had already come when they were scheduled (a task
+  // created an hour before it's due, or snoozed past a lead time) are never
+  // owed, so they're stored as delivered.
+  async syncReminderSchedule(reminders) {
+    const db = await openDatabase();
+    const transaction = db.transaction(REMINDERS_STORE, "readwrite");
+    const store = transaction.objectStore(REMINDERS_STORE);
+    const stored = await requestToPromise(store.getAll());
+
+    const storedByKey = new Map(stored.map((record) => [record.key, record]));
+    const wantedKeys = new Set(reminders.map((reminder) => reminder.key));
+    stored
+      .filter((record) => !wantedKeys.has(record.key))
+      .forEach((record) => store.delete(record.key));
+    const now = nowUtcIso();
+    reminders
+      .filter((reminder) => !storedByKey.has(reminder.key))
+      .forEach((reminder) =>
+        store.put({
+          ...reminder,
+          deliveredAtUtc: reminder.atUtc <= now ? now : null,
+        })
+      );
+    await transactionToPromise(transaction);
+  },
+
+  // Stored reminders by key, with their `deliveredAtUtc`
+  async getReminderDeliveries() {
+    const db = await openDatabase();
+    const store = db.transaction(REMINDERS_STORE).objectStore(REMINDERS_STORE);
+    const records = await requestToPromise(store.getAll());
+    return new Map(records.map((record) => [record.key, record]));
+  },
+
+  async markRemindersDelivered(reminders, deliveredAtUtc = nowUtcIso()) {
+    if (reminders.length === 0) return;
+
+    const db = await openDatabase();
+    const transaction = db.transaction(REMINDERS_STORE, "readwrite");
+    const store = transaction.objectStore(REMINDERS_STORE);
+    reminders.forEach((reminder) => store.put({ ...reminder, deliveredAtUtc }));
+    await transactionToPromise(transaction);
+  },
+};
+
+// ---------------------- Custom Hooks ----------------------
+
+// Tasks live in IndexedDB; setTasks diffs the previous and next arrays by
+// reference so only the records that actually changed are written.
+const useTaskRepository = () => {
+  const [tasks, setTasksState] = useState([]);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const tasksRef = useRef([]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    taskRepository
+      .getAllTasks()
+      .then((loadedTasks) => {
+        if (cancelled) return;
+
+        // Upgrade records written by older versions and persist the result
+        const storedTasks = loadedTasks.map((task) => migrateTask(task));
+        const upgradedTasks = storedTasks.filter(
+          (task, index) => task !== loadedTasks[index]
+        );
+        if (upgradedTasks.length > 0) {
+          taskRepository.commitTaskChanges(upgradedTasks).catch((error) => {
+            console.error("Error saving migrated tasks:", error);
+          });
+        }
+
+        // Keep anything created while the database was still opening
+        const pendingIds = new Set(tasksRef.current.map((task) => task.id));
+        const merged = [
+          ...tasksRef.current,
+          ...storedTasks.filter((task) => !pendingIds.has(task.id)),
+        ];
+        tasksRef.current = merged;
+        setTasksState(merged);
+      })
+      .catch((error) => {
+        console.error("Error loading tasks from IndexedDB:", error);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoaded(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Converge with writes made by other tabs and windows
+  useEffect(() => {
+    const applyRemoteChanges = ({ changedTasks = [], removedIds = [] }) => {
+      const removed = new Set(removedIds);
+      const changedById = new Map(changedTasks.map((task) => [task.id, task]));
+      const existingIds = new Set(tasksRef.current.map((task) => task.id));
+
+      const nextTasks = [
+        ...changedTasks.filter(
+          (task) => !existingIds.has(task.id) && !removed.has(task.id)
+        ),
+        ...tasksRef.current
+          .filter((task) => !removed.has(task.id))
+          .map((task) => changedById.get(task.id) || task),
+      ];
+
+      tasksRef.current = nextTasks;
+      setTasksState(nextTasks);
+    };
+
+    // Messages can be missed while a tab is frozen, so resync on focus
+    const handleVisibilityChange = () => {
+      if (document.visibilityState !== "visible") return;
+
+      taskRepository
+        .getAllTasks()
+        .then((storedTasks) => {
+          const nextTasks = storedTasks.map((task) => migrateTask(task));
+          tasksRef.current = nextTasks;
+          setTasksState(nextTasks);
+        })
+        .catch((error) => {
+          console.error("Error reloading tasks from IndexedDB:", error);
+        });
+    };
+
+    const unsubscribe = syncChannel.subscribe((message) => {
+      if (message.type === "TASKS_CHANGED") applyRemoteChanges(message);
+    });
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+
+    return () => {
+      unsubscribe();
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+    };
+  }, []);
+
+  const setTasks = useCallback((value) => {
+    const prevTasks = tasksRef.current;
+    const nextTasks = value instanceof Function ? value(prevTasks) : value;
+
+    tasksRef.current = nextTasks;
+    setTasksState(nextTasks);
+
+    const prevById = new Map(prevTasks.map((task) => [task.id, task]));
+    const nextIds = new Set(nextTasks.map((task) => task.id));
+    const changedTasks = nextTasks.filter(
+      (task) => prevById.get(task.id) !== task
+    );
+    const removedIds = prevTasks
+      .filter((task) => !nextIds.has(task.id))
+      .map((task) => task.id);
+
+    taskRepository
+      .commitTaskChanges(changedTasks, removedIds)
+      .catch((error) => {
+        console.error("Error saving tasks to IndexedDB:", error);
+      });
+  }, []);
+
+  return [tasks, setTasks, isLoaded];
+};
+
+const useSettings = () => {
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    taskRepository
+      .getSettings()
+      .then((stored) => {
+        if (!cancelled) setSettings(stored);
+      })
+      .catch((error) => {
+        console.error("Error loading settings from IndexedDB:", error);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoaded(true);
+      });
+
+    const unsubscribe = syncChannel.subscribe((message) => {
+      if (message.type !== "SETTINGS_CHANGED") return;
+      setSettings((prev) => ({ ...prev, [message.key]: message.value }));
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
+
+  const updateSetting = useCallback((key, value) => {
+    setSettings((prev) => ({ ...prev, [key]: value }));
+    taskRepository.saveSetting(key, value).catch((error) => {
+      console.error(`Error saving setting "${key}":`, error);
+    });
+  }, []);
+
+  return [settings, updateSetting, isLoaded];
+};
+
+// Records which tasks a change touched: id -> task before/after, where null
+// means the task did not exist on that side of the change.
+const diffTaskSnapshots = (prevTasks, nextTasks) => {
+  const prevById = new Map(prevTasks.map((task) => [task.id, task]));
+  const nextIds = new Set(nextTasks.map((task) => task.id));
+  const before = {};
+  const after = {};
+
+  nextTasks.forEach((task) => {
+    if (prevById.get(task.id) === task) return;
+    before[task.id] = prevById.get(task.id) || null;
+    after[task.id] = task;
+  });
+  prevTasks.forEach((task) => {
+    if (nextIds.has(task.id)) return;
+    before[task.id] = task;
+    after[task.id] = null;
+  });
+
+  return { before, after };
+};
+
+const applyTaskSnapshot = (tasks, snapshot) => {
+  const existingIds = new Set(tasks.map((task) => task.id));
+  const recreated = Object.values(snapshot).filter(
+    (task) => task && !existingIds.has(task.id)
+  );
+
+  return [
+    ...recreated,
+    ...tasks
+      .filter((task) => !(task.id in snapshot) || snapshot[task.id])
+      .map((task) => (task.id in snapshot ? snapshot[task.id] : task)),
+  ];
+};
+
+// Undo/redo over task mutations. Each entry stores before/after snapshots of
+// only the tasks it touched, so bulk operations undo as a single step.
+const useUndoRedo = (setTasks) => {
+  const undoStackRef = useRef([]);
+  const redoStackRef = useRef([]);
+  const [stackSizes, setStackSizes] = useState({ undo: 0, redo: 0 });
+
+  const syncStackSizes = () => {
+    setStackSizes({
+      undo: undoStackRef.current.length,
+      redo: redoStackRef.current.length,
+    });
+  };
+
+  // Applies `updater` like setTasks and returns the undo entry id, or null
+  // when nothing changed
+  const commitTasks = useCallback(
+    (label, updater) => {
+      let entry = null;
+
+      setTasks((prev) => {
+        const next = updater(prev);
+        const snapshots = diffTaskSnapshots(prev, next);
+        if (Object.keys(snapshots.after).length > 0) {
+          entry = { id: genId(), label, ...snapshots };
+        }
+        return next;
+      });
+
+      if (!entry) return null;
+
+      undoStackRef.current = [...undoStackRef.current, entry].slice(
+        -UNDO_STACK_LIMIT
+      );
+      redoStackRef.current = [];
+      syncStackSizes();
+      return entry.id;
+    },
+    [setTasks]
+  );
+
+  const travel = (fromStackRef, toStackRef, snapshotKey, action, entryId) => {
+    const entry = fromStackRef.current[fromStackRef.current.length - 1];
+    if (!entry) return null;
+    // Stale toast buttons must not undo a newer change
+    if (entryId && entry.id !== entryId) return null;
+
+    const snapshot = entry[snapshotKey];
+    const otherSide = snapshotKey === "before" ? entry.after : entry.before;
+    setTasks((prev) => applyTaskSnapshot(prev, snapshot));
+
+    // Tasks removed by this step are logged with their last known state
+    Object.keys(snapshot).forEach((id) => {
+      addToHistory(action, snapshot[id] || otherSide[id], null, entry.label);
+    });
+
+    fromStackRef.current = fromStackRef.current.slice(0, -1);
+    toStackRef.current = [...toStackRef.current, entry];
+    syncStackSizes();
+    return entry;
   };
 
-  return [storedValue, setValue];
+  const undo = (entryId = null) =>
+    travel(undoStackRef, redoStackRef, "before", "undone", entryId);
+
+  const redo = () => travel(redoStackRef, undoStackRef, "after", "redone");
+
+  return {
+    commitTasks,
+    undo,
+    redo,
+    canUndo: stackSizes.undo > 0,
+    canRedo: stackSizes.redo > 0,
+    undoLabel: undoStackRef.current[undoStackRef.current.length - 1]?.label,
+    redoLabel: redoStackRef.current[redoStackRef.current.length - 1]?.label,
+  };
 };
 
 const useDebounce = (value, delay) => {
@@ -221,37 +985,103 @@ const usePWA = () => {
   return { isStandalone, supportsPWA, deferredPrompt, installPWA };
 };
 
-// Service Worker Notification Function
-const triggerServiceWorkerNotification = async (title, options = {}) => {
-  if (
-    "serviceWorker" in navigator &&
-    "Notification" in window &&
-    Notification.permission === "granted"
-  ) {
-    try {
-      const registration = await navigator.serviceWorker.ready;
-
-      // Send message to service worker to show notification
-      if (registration.active) {
-        registration.active.postMessage({
-          type: "SHOW_NOTIFICATION",
-          title,
-          options: {
-            ...options,
-            timestamp: Date.now(),
-          },
-        });
+// Notification protocol, mirrored in public/sw.js: the page posts
+// { type: "SHOW_NOTIFICATION", title, options } with a MessagePort and the
+// worker answers on it with { type: "NOTIFICATION_RESULT", ok, error }.
+const NOTIFICATION_DEFAULTS = {
+  icon: "/icons/icon-192.png",
+  badge: "/icons/icon-72.png",
+  requireInteraction: false,
+  silent: false,
+};
+const NOTIFICATION_OPTION_KEYS = [
+  "body",
+  "icon",
+  "badge",
+  "tag",
+  "requireInteraction",
+  "silent",
+  "vibrate",
+  "actions",
+  "data",
+];
+const SW_NOTIFICATION_TIMEOUT_MS = 4000;
+
+// Options both delivery paths accept. Callbacks and app-only fields such
+// as `timeout` can't be posted to the worker, so they're left out.
+const toNotificationOptions = (options) => ({
+  ...NOTIFICATION_DEFAULTS,
+  tag: `notification-${Date.now()}`,
+  ...Object.fromEntries(
+    NOTIFICATION_OPTION_KEYS.filter((key) => options[key] !== undefined).map(
+      (key) => [key, options[key]]
+    )
+  ),
+  body: options.body || "",
+  data: { ...(options.data || {}) },
+  timestamp: Date.now(),
+});
+
+// Resolves once the worker has shown the notification, rejects when it
+// reports a failure or doesn't answer in time
+const showServiceWorkerNotification = (title, notificationOptions) =>
+  new Promise((resolve, reject) => {
+    const worker = navigator.serviceWorker.controller;
+    if (!worker) {
+      reject(new Error("No service worker controls this page"));
+      return;
+    }
+
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => {
+      reject(new Error("Service worker did not answer"));
+    }, SW_NOTIFICATION_TIMEOUT_MS);
+
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timer);
+      if (event.data?.ok) {
+        resolve();
+      } else {
+        reject(new Error(event.data?.error || "Service worker failed"));
       }
+    };
 
-      console.log("Notification sent to service worker");
-      return { close: () => {} }; // Return dummy object for consistency
-    } catch (error) {
-      console.error("Failed to send notification to service worker:", error);
-      // Fallback to direct notification
-      return new Notification(title, options);
+    worker.postMessage(
+      { type: "SHOW_NOTIFICATION", title, options: notificationOptions },
+      [channel.port2]
+    );
+  });
+
+// Page-level notifications can't show action buttons and close themselves
+// unless they need interaction
+const showPageNotification = (title, notificationOptions, callbacks = {}) => {
+  const pageOptions = { ...notificationOptions };
+  delete pageOptions.actions;
+
+  const notification = new Notification(title, pageOptions);
+
+  notification.onclick = () => {
+    window.focus();
+    notification.close();
+    if (callbacks.onClick) {
+      callbacks.onClick();
     }
+  };
+
+  notification.onclose = () => {
+    if (callbacks.onClose) {
+      callbacks.onClose();
+    }
+  };
+
+  // Auto-close after timeout (except for urgent notifications)
+  if (!pageOptions.requireInteraction && callbacks.timeout !== 0) {
+    setTimeout(() => {
+      notification.close();
+    }, callbacks.timeout || 5000);
   }
-  return null;
+
+  return notification;
 };
 
 // Enhanced Mobile-Compatible Notification Hook
@@ -356,7 +1186,12 @@ const usePushNotifications = () => {
     }
   };
 
-  const showNotification = (title, options = {}) => {
+  // Worker trouble is reported once; after that the fallback just works
+  const workerFailureReportedRef = useRef(false);
+
+  // Resolves to how the notification was delivered: "service-worker",
+  // "page", or null when it couldn't be shown at all
+  const showNotification = async (title, options = {}) => {
     if (permission !== "granted") {
       console.warn("Cannot show notification: Permission not granted");
       return null;
@@ -367,78 +1202,62 @@ const usePushNotifications = () => {
       return null;
     }
 
-    try {
-      // Try service worker first for better PWA support
-      if ("serviceWorker" in navigator && navigator.serviceWorker.controller) {
-        return triggerServiceWorkerNotification(title, options);
-      } else {
-        // Fallback to direct Notification API
-        const defaultOptions = {
-          icon: "/icons/icon-192.png",
-          badge: "/icons/icon-72.png",
-          tag: `notification-${Date.now()}`,
-          requireInteraction: false,
-          silent: false,
-        };
-
-        // Mobile-specific optimizations
-        if (isMobile) {
-          defaultOptions.silent = false;
-          if ("vibrate" in navigator) {
-            defaultOptions.vibrate = [200, 100, 200];
-          }
-          defaultOptions.requireInteraction = false;
-        }
-
-        const notificationOptions = {
-          ...defaultOptions,
-          ...options,
-          body: options.body || "",
-        };
-
-        // Use native Notification API
-        const notification = new Notification(title, notificationOptions);
-
-        // Handle click events
-        notification.onclick = () => {
-          window.focus();
-          notification.close();
-
-          // Custom click handling
-          if (options.onClick) {
-            options.onClick();
-          }
-        };
-
-        // Handle close events
-        notification.onclose = () => {
-          if (options.onClose) {
-            options.onClose();
-          }
-        };
+    const notificationOptions = toNotificationOptions({
+      ...(isMobile && "vibrate" in navigator && { vibrate: [200, 100, 200] }),
+      ...options,
+    });
 
-        // Auto-close after timeout (except for urgent notifications)
-        if (!options.requireInteraction && options.timeout !== 0) {
-          setTimeout(() => {
-            if (notification.close) {
-              notification.close();
-            }
-          }, options.timeout || 5000);
+    // The worker can show action buttons and outlives the tab
+    if ("serviceWorker" in navigator && navigator.serviceWorker.controller) {
+      try {
+        await showServiceWorkerNotification(title, notificationOptions);
+        return "service-worker";
+      } catch (error) {
+        console.error("Service worker notification failed:", error);
+        if (!workerFailureReportedRef.current && window.addToast) {
+          workerFailureReportedRef.current = true;
+          window.addToast(
+            `Background notifications failed (${error.message}). Showing them from this page instead.`,
+            "warning"
+          );
         }
-
-        return notification;
       }
+    }
+
+    try {
+      showPageNotification(title, notificationOptions, options);
+      return "page";
     } catch (error) {
       console.error("Failed to show notification:", error);
+      if (window.addToast) {
+        window.addToast(`Couldn't show notification: ${title}`, "error");
+      }
       return null;
     }
   };
 
   // Specialized notification methods
-  const showTaskReminder = (task, timeLeft) => {
+  const showTaskReminder = (task, timeLeft, clientTimeZone = null) => {
     let config = {};
 
-    if (timeLeft <= 10) {
+    if (timeLeft < 0) {
+      // Snoozed reminders arrive after the due time has passed
+      config = {
+        body: `🔔 Overdue since ${formatForDisplay(
+          task.dueUtc,
+          "UTC",
+          true
+        )}\nClient: ${task.clientName || "N/A"}`,
+        icon: "/icons/urgent.png",
+        tag: `overdue-${task.id}`,
+        requireInteraction: true,
+        timeout: 0,
+      };
+
+      if (isMobile && "vibrate" in navigator) {
+        config.vibrate = [200, 100, 200];
+      }
+    } else if (timeLeft <= 10) {
       config = {
         body: `🚨 ONLY 10 SECONDS LEFT!\nClient: ${
           task.clientName || "N/A"
@@ -478,7 +1297,25 @@ const usePushNotifications = () => {
       }
     }
 
-    return showNotification(`⏰ ${task.title}`, config);
+    if (clientTimeZone && task.dueUtc) {
+      config.body += `\n${formatClientDueTime(task.dueUtc, clientTimeZone)}`;
+    }
+
+    config.actions = REMINDER_NOTIFICATION_ACTIONS;
+    config.data = { taskId: task.id };
+
+    const priority = PRIORITY_LEVELS[task.priority];
+    if (priority?.requireInteraction) {
+      config.requireInteraction = true;
+      config.timeout = 0;
+    }
+
+    return showNotification(
+      priority && task.priority <= 2
+        ? `⏰ ${priority.label} ${task.title}`
+        : `⏰ ${task.title}`,
+      config
+    );
   };
 
   const showTaskCompleted = (task) => {
@@ -486,6 +1323,7 @@ const usePushNotifications = () => {
       body: `"${task.title}" has been completed!`,
       icon: "/icons/completed.png",
       tag: `completed-${task.id}`,
+      data: { taskId: task.id },
     };
 
     if (isMobile && "vibrate" in navigator) {
@@ -495,6 +1333,25 @@ const usePushNotifications = () => {
     return showNotification("✅ Task Completed", config);
   };
 
+  // One notification for everything missed while the app was closed or
+  // asleep; a single task keeps its done/snooze actions
+  const showMissedRemindersSummary = (groups) => {
+    const { title, body } = describeMissedReminders(groups);
+    const config = {
+      body,
+      icon: "/icons/reminder.png",
+      tag: "missed-reminders",
+      requireInteraction: true,
+      timeout: 0,
+    };
+    if (groups.length === 1) {
+      config.actions = REMINDER_NOTIFICATION_ACTIONS;
+      config.data = { taskId: groups[0].taskId };
+    }
+
+    return showNotification(title, config);
+  };
+
   const testNotification = () => {
     if (permission !== "granted") {
       console.warn("Please enable notifications first");
@@ -552,80 +1409,276 @@ const usePushNotifications = () => {
     showNotification,
     showTaskReminder,
     showTaskCompleted,
+    showMissedRemindersSummary,
     testNotification,
   };
 };
 
-// Enhanced notification system with mobile support
-const useEnhancedNotifications = (activeTasks) => {
-  const { permission, showTaskReminder, isSupported } = usePushNotifications();
-
-  const notificationCheckRef = useRef(null);
-  const notifiedTasksRef = useRef(new Set());
+// Elects a single window to fire reminders. The Web Lock is held for the
+// lifetime of the tab and handed to the next waiting tab when it closes.
+const useReminderLeadership = () => {
+  const [isLeader, setIsLeader] = useState(false);
 
   useEffect(() => {
-    if (permission !== "granted" || !isSupported) return;
-
-    const checkNotifications = () => {
-      const now = new Date();
-
-      activeTasks.forEach((task) => {
-        if (task.dueUtc && !task.completed) {
-          const dueDate = new Date(task.dueUtc);
-          const timeLeft = dueDate - now;
-          const secondsLeft = Math.floor(timeLeft / 1000);
-
-          NOTIFICATION_LEVELS.forEach((level) => {
-            let thresholdSeconds;
-            let notificationKey;
-
-            if (level.seconds !== undefined) {
-              thresholdSeconds = level.seconds;
-              notificationKey = `task-${task.id}-${level.seconds}s`;
-            } else {
-              thresholdSeconds = level.hours * 3600;
-              notificationKey = `task-${task.id}-${level.hours}h`;
-            }
-
-            if (
-              secondsLeft <= thresholdSeconds &&
-              secondsLeft > thresholdSeconds - 60 &&
-              !notifiedTasksRef.current.has(notificationKey)
-            ) {
-              console.log(`Triggering notification: ${notificationKey}`);
-
-              // Use the enhanced notification
-              showTaskReminder(task, secondsLeft);
+    if (!navigator.locks) {
+      // No way to coordinate - behave like a single-window app
+      setIsLeader(true);
+      return;
+    }
 
-              notifiedTasksRef.current.add(notificationKey);
+    const abortController = new AbortController();
 
-              // Clean up after due date
-              setTimeout(() => {
-                notifiedTasksRef.current.delete(notificationKey);
-              }, Math.abs(timeLeft) + 5000);
-            }
-          });
+    navigator.locks
+      .request(REMINDER_LOCK_NAME, { signal: abortController.signal }, () => {
+        setIsLeader(true);
+        return new Promise((resolve) => {
+          abortController.signal.addEventListener("abort", resolve);
+        });
+      })
+      .catch((error) => {
+        if (error.name !== "AbortError") {
+          console.error("Failed to acquire reminder lock:", error);
         }
       });
-    };
-
-    notificationCheckRef.current = setInterval(checkNotifications, 5000);
-    checkNotifications();
 
     return () => {
-      if (notificationCheckRef.current) {
-        clearInterval(notificationCheckRef.current);
-      }
+      abortController.abort();
+      setIsLeader(false);
     };
-  }, [activeTasks, permission, showTaskReminder, isSupported]);
+  }, []);
 
-  return {
-    permission,
-    isSupported,
-  };
+  return isLeader;
 };
 
-// ---------------------- Utilities ----------------------
+// Enhanced notification system with mobile support
+// isReady holds everything back until tasks and settings are loaded, so the
+// empty startup state can't wipe the stored schedule
+const useEnhancedNotifications = (
+  activeTasks,
+  clients,
+  defaultReminders,
+  isReady
+) => {
+  const {
+    permission,
+    showTaskReminder,
+    showMissedRemindersSummary,
+    isSupported,
+  } = usePushNotifications();
+  const isReminderLeader = useReminderLeadership();
+
+  // Reminders mention the due time in the client's timezone as well
+  const clientsById = useMemo(
+    () => new Map(clients.map((client) => [client.id, client])),
+    [clients]
+  );
+
+  const notificationCheckRef = useRef(null);
+  // Two checks must not read the same undelivered reminders
+  const isCheckingRef = useRef(false);
+  // Grouped by task: { taskId, title, dueUtc, count }
+  const [missedReminders, setMissedReminders] = useState([]);
+
+  // The notification helpers change every render; the checks don't need to
+  const notifyRef = useRef(null);
+  notifyRef.current = { showTaskReminder, showMissedRemindersSummary };
+
+  useEffect(() => {
+    if (
+      !isReady ||
+      permission !== "granted" ||
+      !isSupported ||
+      !isReminderLeader
+    ) {
+      return;
+    }
+
+    // Delivery state lives in IndexedDB next to the schedule, so reloads,
+    // other windows and the service worker all see what was already sent
+    const checkNotifications = async () => {
+      if (isCheckingRef.current) return;
+      isCheckingRef.current = true;
+
+      try {
+        const nowMs = Date.now();
+        const pastReminders = buildReminderSchedule(
+          activeTasks,
+          clientsById,
+          defaultReminders
+        ).filter((reminder) => new Date(reminder.atUtc).getTime() <= nowMs);
+        if (pastReminders.length === 0) return;
+
+        const stored = await taskRepository.getReminderDeliveries();
+        const dueNow = [];
+        const missed = [];
+        pastReminders.forEach((reminder) => {
+          // Only reminders stored before their time are owed; one that's
+          // missing was created by a due date moving past it
+          const record = stored.get(reminder.key);
+          if (!record || record.deliveredAtUtc) return;
+
+          if (nowMs - new Date(reminder.atUtc).getTime() < REMINDER_WINDOW_MS) {
+            dueNow.push(reminder);
+          } else {
+            // Scheduled, but its time passed while the app was closed or asleep
+            missed.push(reminder);
+          }
+        });
+        if (dueNow.length === 0 && missed.length === 0) return;
+
+        // Record first, so a reload halfway can't deliver them twice
+        await taskRepository.markRemindersDelivered([...dueNow, ...missed]);
+
+        const tasksById = new Map(activeTasks.map((task) => [task.id, task]));
+        // Several reminders of one task coming due together show once
+        new Set(dueNow.map((reminder) => reminder.taskId)).forEach((taskId) => {
+          const task = tasksById.get(taskId);
+          console.log(`Triggering reminder for task ${taskId}`);
+          notifyRef.current.showTaskReminder(
+            task,
+            Math.floor((new Date(task.dueUtc).getTime() - nowMs) / 1000),
+            getTaskTimeZone(task, clientsById)
+          );
+        });
+
+        if (missed.length > 0) {
+          const groups = groupMissedReminders(missed, tasksById);
+          notifyRef.current.showMissedRemindersSummary(groups);
+          setMissedReminders((prev) =>
+            groupMissedReminders(missed, tasksById, prev)
+          );
+        }
+      } catch (error) {
+        console.error("Reminder check failed:", error);
+      } finally {
+        isCheckingRef.current = false;
+      }
+    };
+
+    // Timers stall while the device sleeps, so check again on wake
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "visible") checkNotifications();
+    };
+
+    notificationCheckRef.current = setInterval(checkNotifications, 5000);
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    checkNotifications();
+
+    return () => {
+      if (notificationCheckRef.current) {
+        clearInterval(notificationCheckRef.current);
+      }
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+    };
+  }, [
+    activeTasks,
+    clientsById,
+    defaultReminders,
+    isReady,
+    permission,
+    isSupported,
+    isReminderLeader,
+  ]);
+
+  // Keep the schedule in IndexedDB so the service worker can deliver
+  // reminders while no window is open
+  useEffect(() => {
+    if (!isReady || !isReminderLeader) return;
+
+    taskRepository
+      .syncReminderSchedule(
+        buildReminderSchedule(activeTasks, clientsById, defaultReminders)
+      )
+      .catch((error) => {
+        console.error("Failed to save reminder schedule:", error);
+      });
+  }, [activeTasks, clientsById, defaultReminders, isReady, isReminderLeader]);
+
+  return {
+    permission,
+    isSupported,
+    isReminderLeader,
+    missedReminders,
+    dismissMissedReminders: () => setMissedReminders([]),
+  };
+};
+
+// `serviceWorker.ready` never settles when registration failed, so wait for
+// it only a while. Resolves to undefined when there's no worker.
+const getServiceWorkerRegistration = async () => {
+  const registration = await navigator.serviceWorker.getRegistration();
+  if (registration) return registration;
+
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, SW_READY_TIMEOUT_MS);
+  });
+  try {
+    return await Promise.race([navigator.serviceWorker.ready, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Whether the service worker can check for due reminders while the app is
+// closed. Needs notification permission and Periodic Background Sync,
+// which browsers only grant to installed apps.
+const useBackgroundReminders = (permission) => {
+  const [status, setStatus] = useState({ state: "checking" });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const setUp = async () => {
+      if (!("serviceWorker" in navigator)) {
+        return { state: "unsupported" };
+      }
+      if (permission !== "granted") {
+        return { state: "needs-permission" };
+      }
+
+      const registration = await getServiceWorkerRegistration();
+      if (!registration) {
+        return { state: "error", detail: "No service worker is registered" };
+      }
+      if (!("periodicSync" in registration)) {
+        return { state: "unsupported" };
+      }
+
+      const { state } = await navigator.permissions.query({
+        name: "periodic-background-sync",
+      });
+      if (state !== "granted") {
+        return { state: "needs-install" };
+      }
+
+      await registration.periodicSync.register(BACKGROUND_REMINDER_SYNC_TAG, {
+        minInterval: BACKGROUND_REMINDER_INTERVAL_MS,
+      });
+      const tags = await registration.periodicSync.getTags();
+      return tags.includes(BACKGROUND_REMINDER_SYNC_TAG)
+        ? { state: "active" }
+        : { state: "error", detail: "The browser didn't keep the sync" };
+    };
+
+    setUp()
+      .then((result) => {
+        if (!cancelled) setStatus(result);
+      })
+      .catch((error) => {
+        console.error("Failed to set up background reminders:", error);
+        if (!cancelled) setStatus({ state: "error", detail: error.message });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [permission]);
+
+  return status;
+};
+
+// ---------------------- Utilities ----------------------
 
 const nowUtcIso = () => new Date().toISOString();
 
@@ -661,8 +1714,45 @@ const getTimeWithTimezone = (iso, timezone) => {
   return `${timeStr} ${tzAbbr}`.trim();
 };
 
-// FIXED: Proper UTC datetime handling
-const datetimeLocalToUtcIso = (value) => {
+// Wall-clock fields of an instant as seen in `timeZone`
+const getZonedParts = (ms, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(ms));
+
+  return Object.fromEntries(
+    parts
+      .filter((part) => part.type !== "literal")
+      .map((part) => [part.type, Number(part.value)])
+  );
+};
+
+// How far `timeZone` is ahead of UTC at the instant `ms`
+const getTimeZoneOffsetMs = (ms, timeZone) => {
+  const p = getZonedParts(ms, timeZone);
+  const wallMs = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour,
+    p.minute,
+    p.second
+  );
+  return wallMs - Math.floor(ms / 1000) * 1000;
+};
+
+// Converts a datetime-local value ("YYYY-MM-DDTHH:mm") read as wall-clock
+// time in `timeZone` to a UTC ISO string. Around DST changes, a time that
+// occurs twice resolves to the earlier instant and a time skipped by the
+// jump moves forward by the size of the jump (02:30 -> 03:30).
+const datetimeLocalToUtcIso = (value, timeZone = "UTC") => {
   if (!value) return "";
 
   try {
@@ -684,28 +1774,194 @@ const datetimeLocalToUtcIso = (value) => {
       throw new Error("Invalid numeric values in datetime");
     }
 
-    // Always interpret as UTC - create UTC date directly
-    const ms = Date.UTC(year, month - 1, day, hour, minute, 0, 0);
+    const wallMs = Date.UTC(year, month - 1, day, hour, minute, 0, 0);
+    if (timeZone === "UTC") return new Date(wallMs).toISOString();
+
+    // The offsets in force half a day either side cover any transition
+    // near this wall time; keep the candidates that really show `value`.
+    const candidates = [
+      wallMs - getTimeZoneOffsetMs(wallMs - DAY_MS / 2, timeZone),
+      wallMs - getTimeZoneOffsetMs(wallMs + DAY_MS / 2, timeZone),
+    ];
+    const matching = candidates.filter(
+      (ms) => getTimeZoneOffsetMs(ms, timeZone) === wallMs - ms
+    );
+    const ms =
+      matching.length > 0 ? Math.min(...matching) : Math.max(...candidates);
+
     return new Date(ms).toISOString();
   } catch (error) {
     throw new Error(`Failed to parse datetime: ${error.message}`);
   }
 };
 
-const utcIsoToLocalInputValue = (iso) => {
+// Inverse of datetimeLocalToUtcIso: the datetime-local value showing `iso`
+// in `timeZone` (the user's own zone by default)
+const utcIsoToLocalInputValue = (iso, timeZone = getUserTimeZone()) => {
   if (!iso) return "";
   try {
-    const d = new Date(iso);
+    const p = getZonedParts(new Date(iso).getTime(), timeZone);
     const pad = (n) => String(n).padStart(2, "0");
-    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(
-      d.getDate()
-    )}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(
+      p.minute
+    )}`;
   } catch (error) {
     console.error("Date conversion error:", error);
     return "";
   }
 };
 
+const RESCHEDULE_PRESETS = {
+  hour: "+1 hour",
+  tomorrow: "Tomorrow, same time",
+  nextMonday: "Next Monday",
+};
+
+const SNOOZE_PRESETS = {
+  "10m": "10 min",
+  "1h": "1 hour",
+  tomorrowMorning: "Tomorrow 9:00",
+};
+
+// Shown on reminder notifications. public/sw.js applies them to the task
+// store itself, so they work without an open window.
+const REMINDER_NOTIFICATION_ACTIONS = [
+  { action: "done", title: "✅ Mark done" },
+  { action: "snooze-10m", title: "😴 Snooze 10 min" },
+];
+
+// When a snooze started now should end. "Tomorrow 9:00" is read in
+// `timeZone` so it means the user's (or client's) morning.
+const getSnoozeUntil = (preset, timeZone = getUserTimeZone()) => {
+  const now = Date.now();
+  if (preset === "10m") return new Date(now + 10 * 60 * 1000).toISOString();
+  if (preset === "1h") return new Date(now + 60 * 60 * 1000).toISOString();
+
+  const tomorrow = rescheduleDue(null, "tomorrow", timeZone);
+  const [datePart] = utcIsoToLocalInputValue(tomorrow, timeZone).split("T");
+  return datetimeLocalToUtcIso(`${datePart}T09:00`, timeZone);
+};
+
+// Moves a due date by one of RESCHEDULE_PRESETS. Day-based presets keep the
+// wall-clock time in `timeZone` so they survive DST changes; without a due
+// date they count from now.
+const rescheduleDue = (iso, preset, timeZone = getUserTimeZone()) => {
+  const base = iso ? new Date(iso) : new Date();
+  if (preset === "hour") {
+    return new Date(base.getTime() + 60 * 60 * 1000).toISOString();
+  }
+
+  const [datePart, timePart] = utcIsoToLocalInputValue(
+    base.toISOString(),
+    timeZone
+  ).split("T");
+  const wallDate = new Date(`${datePart}T00:00:00Z`);
+  const days =
+    preset === "nextMonday" ? (8 - wallDate.getUTCDay()) % 7 || 7 : 1;
+  wallDate.setUTCDate(wallDate.getUTCDate() + days);
+
+  return datetimeLocalToUtcIso(
+    `${wallDate.toISOString().slice(0, 10)}T${timePart}`,
+    timeZone
+  );
+};
+
+// Tags are stored without the leading "#" and deduped case-insensitively,
+// keeping the spelling that was entered first.
+const normalizeTag = (tag) =>
+  String(tag).trim().replace(/^#+/, "").replace(/\s+/g, "-");
+
+const normalizeTags = (tags) => {
+  const seen = new Set();
+  return tags.map(normalizeTag).filter((tag) => {
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const getTagColor = (tag) => {
+  let hash = 0;
+  for (const char of tag.toLowerCase()) {
+    hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  }
+  return TAG_COLORS[Math.abs(hash) % TAG_COLORS.length];
+};
+
+const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+const TIMEZONE_OPTIONS =
+  typeof Intl.supportedValuesOf === "function"
+    ? Intl.supportedValuesOf("timeZone")
+    : [
+        "UTC",
+        "America/New_York",
+        "America/Chicago",
+        "America/Los_Angeles",
+        "Europe/London",
+        "Europe/Berlin",
+        "Asia/Dhaka",
+        "Asia/Kolkata",
+        "Asia/Tokyo",
+        "Australia/Sydney",
+      ];
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat(undefined, { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const getUserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const formatZonedTime = (iso, timeZone, withDate = false) =>
+  new Intl.DateTimeFormat(undefined, {
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+    timeZone,
+    ...(withDate ? { weekday: "short", month: "short", day: "numeric" } : {}),
+  }).format(new Date(iso));
+
+const getZonedDateKey = (iso, timeZone) =>
+  new Intl.DateTimeFormat("en-CA", {
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    timeZone,
+  }).format(new Date(iso));
+
+// "Due 5:00 PM client time / 11:00 PM your time". Dates are spelled out when
+// the two zones are on different calendar days at that moment.
+const formatClientDueTime = (
+  iso,
+  clientTimeZone,
+  userTimeZone = getUserTimeZone()
+) => {
+  const withDate =
+    getZonedDateKey(iso, clientTimeZone) !== getZonedDateKey(iso, userTimeZone);
+  return `Due ${formatZonedTime(
+    iso,
+    clientTimeZone,
+    withDate
+  )} client time / ${formatZonedTime(iso, userTimeZone, withDate)} your time`;
+};
+
 const genId = () => {
   return (
     crypto.randomUUID?.() ||
@@ -713,477 +1969,3584 @@ const genId = () => {
   );
 };
 
-const addToHistory = (action, task, oldValue = null, newValue = null) => {
-  try {
-    const existing = JSON.parse(
-      localStorage.getItem(HISTORY_STORAGE_KEY) || "[]"
+// ---------------------- Task Schema ----------------------
+
+// TASK_MIGRATIONS[n] upgrades a task from schema version n to n + 1.
+// Append a step here whenever the task shape changes; never edit old ones.
+const TASK_MIGRATIONS = [
+  // v0 -> v1: unversioned tasks from the localStorage era
+  (task) => ({
+    ...task,
+    id: task.id || genId(),
+    title: task.title || "Untitled",
+    dueUtc: task.dueUtc || null,
+    completed: !!task.completed,
+    createdAtUtc: task.createdAtUtc || nowUtcIso(),
+  }),
+  // v1 -> v2: soft delete - tasks in the trash carry the time they were trashed
+  (task) => ({
+    ...task,
+    deletedAtUtc: task.deletedAtUtc || null,
+  }),
+  // v2 -> v3: repeat rules. Occurrences of a series share a seriesId.
+  (task) => ({
+    ...task,
+    recurrence: task.recurrence || null,
+    seriesId: task.seriesId || (task.recurrence ? task.id : null),
+    occurrenceOverrides: task.occurrenceOverrides || null,
+    nextOccurrenceId: task.nextOccurrenceId || null,
+  }),
+  // v3 -> v4: ordered checklist of subtasks
+  (task) => ({
+    ...task,
+    subtasks: Array.isArray(task.subtasks)
+      ? task.subtasks
+          .filter((subtask) => subtask && subtask.title)
+          .map((subtask) => ({
+            id: subtask.id || genId(),
+            title: String(subtask.title),
+            done: !!subtask.done,
+          }))
+      : [],
+  }),
+  // v4 -> v5: P1-P4 priority
+  (task) => ({
+    ...task,
+    priority: PRIORITY_LEVELS[task.priority] ? task.priority : DEFAULT_PRIORITY,
+  }),
+  // v5 -> v6: free-form tags
+  (task) => ({
+    ...task,
+    tags: normalizeTags(Array.isArray(task.tags) ? task.tags : []),
+  }),
+  // v6 -> v7: everything that predates projects lands in the Inbox
+  (task) => ({
+    ...task,
+    projectId: task.projectId || INBOX_PROJECT_ID,
+  }),
+  // v7 -> v8: "blocked by" dependencies
+  (task) => ({
+    ...task,
+    blockedBy: Array.isArray(task.blockedBy)
+      ? task.blockedBy.filter((id) => typeof id === "string" && id !== task.id)
+      : [],
+  }),
+  // v8 -> v9: time tracking log
+  (task) => ({
+    ...task,
+    timeEntries: Array.isArray(task.timeEntries)
+      ? task.timeEntries.filter((entry) => entry && entry.id && entry.startUtc)
+      : [],
+  }),
+  // v9 -> v10: billable flag on tasks and on each time entry
+  (task) => ({
+    ...task,
+    billable: !!task.billable,
+    timeEntries: Array.isArray(task.timeEntries)
+      ? task.timeEntries.map((entry) => ({
+          ...entry,
+          billable: entry.billable !== false,
+        }))
+      : [],
+  }),
+  // v10 -> v11: link to the client directory (filled in once it's loaded)
+  (task) => ({
+    ...task,
+    clientId: task.clientId || null,
+  }),
+  // v11 -> v12: optional IANA timezone that overrides the client's
+  (task) => ({
+    ...task,
+    timezone: isValidTimeZone(task.timezone) ? task.timezone : null,
+  }),
+  // v12 -> v13: snooze counter and one-off "remind me again" time
+  (task) => ({
+    ...task,
+    snoozeCount: Number.isInteger(task.snoozeCount) ? task.snoozeCount : 0,
+    snoozedUntil: task.snoozedUntil || null,
+  }),
+  // v13 -> v14: per-task reminder schedule (null = the default one)
+  (task) => ({
+    ...task,
+    reminders: Array.isArray(task.reminders)
+      ? normalizeReminders(task.reminders)
+      : null,
+  }),
+  // v14 -> v15: priority as a number; imported JSON could carry "2"
+  (task) => ({
+    ...task,
+    priority: PRIORITY_LEVELS[task.priority]
+      ? Number(task.priority)
+      : DEFAULT_PRIORITY,
+  }),
+];
+
+const TASK_SCHEMA_VERSION = TASK_MIGRATIONS.length;
+
+// New tasks start at the current schema version with every field present
+const createTask = (fields) => {
+  const id = fields.id || genId();
+  return {
+    id,
+    title: "Untitled",
+    notes: undefined,
+    clientName: undefined,
+    clientCountry: undefined,
+    dueUtc: null,
+    completed: false,
+    createdAtUtc: nowUtcIso(),
+    deletedAtUtc: null,
+    recurrence: null,
+    occurrenceOverrides: null,
+    nextOccurrenceId: null,
+    subtasks: [],
+    priority: DEFAULT_PRIORITY,
+    tags: [],
+    projectId: INBOX_PROJECT_ID,
+    blockedBy: [],
+    timeEntries: [],
+    billable: false,
+    clientId: null,
+    timezone: null,
+    snoozeCount: 0,
+    snoozedUntil: null,
+    reminders: null,
+    ...fields,
+    seriesId: fields.seriesId || (fields.recurrence ? id : null),
+    schemaVersion: TASK_SCHEMA_VERSION,
+  };
+};
+
+// Returns the same object when the task is already current, so callers can
+// detect which tasks were upgraded by reference.
+const migrateTask = (task, fromVersion = task.schemaVersion ?? 0) => {
+  if (fromVersion > TASK_SCHEMA_VERSION) {
+    // Written by a newer version of the app - keep every field untouched
+    console.warn(
+      `Task "${task.id}" has schema v${fromVersion}, newer than v${TASK_SCHEMA_VERSION}`
     );
-    const historyEntry = {
-      id: genId(),
-      timestamp: nowUtcIso(),
-      action,
-      taskId: task.id,
-      taskTitle: task.title,
-      clientName: task.clientName,
-      clientCountry: task.clientCountry,
-      dueUtc: task.dueUtc,
-      notes: task.notes,
-      oldValue,
-      newValue,
-      completedAt: action === "completed" ? nowUtcIso() : null,
-    };
+    return task;
+  }
 
-    const updatedHistory = [historyEntry, ...existing.slice(0, 499)];
-    localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(updatedHistory));
-  } catch (error) {
-    console.error("Failed to save history:", error);
+  let migrated = task;
+  for (let version = fromVersion; version < TASK_SCHEMA_VERSION; version++) {
+    migrated = {
+      ...TASK_MIGRATIONS[version](migrated),
+      schemaVersion: version + 1,
+    };
   }
+  return migrated;
 };
 
-// ---------------------- Components ----------------------
+// Backups are either a bare task array (oldest) or { schemaVersion, tasks,
+// history }. Tasks without their own stamp inherit the backup's version.
+// Tasks stamped current skip the migrations, so the id the store is keyed
+// on is checked here for every task.
+const migrateBackup = (data) => {
+  const rawTasks = Array.isArray(data) ? data : data?.tasks;
+  if (!Array.isArray(rawTasks)) throw new Error("Invalid format");
 
-const LoadingSpinner = ({ size = "md", className = "" }) => (
-  <div
-    className={`animate-spin rounded-full border-2 border-gray-200 border-t-blue-500 ${className} ${
-      size === "sm" ? "w-4 h-4" : size === "md" ? "w-6 h-6" : "w-8 h-8"
-    }`}
-  />
-);
+  const backupVersion = Array.isArray(data) ? 0 : data.schemaVersion ?? 0;
 
-const Toast = ({ message, type = "info", onClose }) => {
-  useEffect(() => {
-    const timer = setTimeout(onClose, 5000);
-    return () => clearTimeout(timer);
-  }, [onClose]);
+  return {
+    tasks: rawTasks
+      .filter((task) => task && typeof task === "object")
+      .map((task) => migrateTask(task, task.schemaVersion ?? backupVersion))
+      .map((task) => (task.id ? task : { ...task, id: genId() })),
+    history: Array.isArray(data?.history) ? data.history : [],
+    projects: Array.isArray(data?.projects)
+      ? data.projects.filter((project) => project && project.id)
+      : [],
+  };
+};
 
-  const config = {
-    success: { bg: "bg-emerald-500", icon: "✅" },
-    error: { bg: "bg-rose-500", icon: "❌" },
-    warning: { bg: "bg-amber-500", icon: "⚠️" },
-    info: { bg: "bg-blue-500", icon: "💡" },
-  }[type];
+// ---------------------- Recurrence ----------------------
 
-  return (
-    <div
-      className={`${config.bg} text-white px-4 py-3 rounded-xl shadow-lg flex items-center gap-3 min-w-80 animate-slide-in-right`}
-    >
-      <span className="text-lg">{config.icon}</span>
-      <span className="flex-1 text-sm font-medium">{message}</span>
-      <button
-        onClick={onClose}
-        className="p-1 hover:bg-white hover:bg-opacity-20 rounded-lg transition-all duration-200"
-      >
-        ×
-      </button>
-    </div>
-  );
-};
+// Repeat rules are evaluated on wall-clock time in the timezone they were
+// entered in, kept on the rule, so "every Monday at 9:00" stays at 9:00
+// across DST changes. A wall date is a Date whose UTC fields read as that
+// wall-clock time.
+const toWallDate = (iso, timeZone) =>
+  new Date(`${utcIsoToLocalInputValue(iso, timeZone)}:00Z`);
 
-const LiveTimeDisplay = () => {
-  const currentTime = useLiveTime();
+const fromWallDate = (wallDate, timeZone) =>
+  datetimeLocalToUtcIso(wallDate.toISOString().slice(0, 16), timeZone);
 
-  return (
-    <div className="bg-gradient-to-br from-slate-800 to-slate-900 rounded-3xl p-6 text-white shadow-2xl border border-slate-700">
-      <div className="text-center mb-4">
-        <div className="flex items-center justify-center gap-2 mb-2">
-          <div className="w-2 h-2 bg-emerald-400 rounded-full animate-pulse"></div>
-          <h3 className="text-lg font-semibold text-slate-200">
-            Live Time Tracker (12-hour format)
-          </h3>
-          <div className="w-2 h-2 bg-emerald-400 rounded-full animate-pulse"></div>
-        </div>
-      </div>
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
-        <div className="bg-slate-700 bg-opacity-50 rounded-2xl p-5 border border-slate-600 transition-all duration-300 hover:border-slate-500">
-          <div className="flex items-center gap-3 mb-3">
-            <div className="w-3 h-3 bg-blue-400 rounded-full animate-pulse"></div>
-            <div className="text-slate-300 text-sm font-medium">
-              UTC Time (Global Standard)
-            </div>
-          </div>
-          <div className="text-2xl lg:text-3xl font-mono font-bold text-blue-300">
-            {getTimeWithTimezone(currentTime.utc, "UTC")}
-          </div>
-          <div className="text-xs text-slate-400 mt-2">
-            All tasks are stored and managed in UTC
-          </div>
-        </div>
-        <div className="bg-slate-700 bg-opacity-50 rounded-2xl p-5 border border-slate-600 transition-all duration-300 hover:border-slate-500">
-          <div className="flex items-center gap-3 mb-3">
-            <div className="w-3 h-3 bg-emerald-400 rounded-full animate-pulse"></div>
-            <div className="text-slate-300 text-sm font-medium">
-              Your Local Time ({currentTime.userTimezone})
-            </div>
-          </div>
-          <div className="text-2xl lg:text-3xl font-mono font-bold text-emerald-300">
-            {currentTime.userLocalTime}
-          </div>
-          <div className="text-xs text-slate-400 mt-2">
-            Automatically detected from your device
-          </div>
-        </div>
-      </div>
-    </div>
-  );
+// Rules always carry every field so switching frequency keeps a valid shape.
+const createRecurrence = (freq, referenceIso, timeZone = getUserTimeZone()) => {
+  if (!freq) return null;
+
+  const reference = toWallDate(referenceIso || nowUtcIso(), timeZone);
+  return {
+    freq,
+    interval: 1,
+    weekdays: [reference.getUTCDay()],
+    monthMode: "day",
+    monthDay: reference.getUTCDate(),
+    monthWeekday: reference.getUTCDay(),
+    timeZone,
+  };
 };
 
-const CountdownTimer = ({ targetDate, taskTitle, compact = false }) => {
-  const timeLeft = useCountdown(targetDate);
+// Rules saved before they carried a zone were evaluated in UTC
+const getRecurrenceTimeZone = (rule) =>
+  isValidTimeZone(rule?.timeZone) ? rule.timeZone : "UTC";
 
-  if (!targetDate) return null;
+const describeRecurrence = (rule) => {
+  if (!rule) return "";
 
-  const getTimerConfig = () => {
-    if (timeLeft.isOverdue) {
-      return {
-        color: "text-rose-600",
-        bg: "bg-rose-50",
-        border: "border-rose-200",
-        label: "Overdue",
-      };
-    }
-    if (timeLeft.totalMinutes <= 10) {
-      return {
-        color: "text-rose-600",
-        bg: "bg-rose-50",
-        border: "border-rose-200",
-        label: "Urgent",
-      };
-    }
-    if (timeLeft.totalMinutes <= 30) {
-      return {
-        color: "text-amber-600",
-        bg: "bg-amber-50",
-        border: "border-amber-200",
-        label: "Soon",
-      };
+  const n = Math.max(1, rule.interval || 1);
+  switch (rule.freq) {
+    case "daily":
+      return n === 1 ? "Daily" : `Every ${n} days`;
+
+    case "weekly": {
+      const days = [...rule.weekdays]
+        .sort((a, b) => a - b)
+        .map((day) => WEEKDAY_NAMES[day].slice(0, 3))
+        .join(", ");
+      return `${n === 1 ? "Weekly" : `Every ${n} weeks`} on ${days}`;
     }
-    if (timeLeft.totalMinutes <= 60) {
-      return {
-        color: "text-yellow-600",
-        bg: "bg-yellow-50",
-        border: "border-yellow-200",
-        label: "Approaching",
-      };
+
+    case "monthly": {
+      const base = n === 1 ? "Monthly" : `Every ${n} months`;
+      return rule.monthMode === "lastWeekday"
+        ? `${base} on the last ${WEEKDAY_NAMES[rule.monthWeekday]}`
+        : `${base} on day ${rule.monthDay}`;
     }
-    if (timeLeft.totalMinutes <= 120) {
-      return {
-        color: "text-blue-600",
-        bg: "bg-blue-50",
-        border: "border-blue-200",
-        label: "Upcoming",
-      };
+
+    case "afterCompletion":
+      return `${n} ${n === 1 ? "day" : "days"} after completion`;
+
+    default:
+      return "";
+  }
+};
+
+const utcDayNumber = (date) =>
+  Math.floor(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) /
+      DAY_MS
+  );
+
+// Occurrence in the month `monthOffset` months after `from`, at from's time
+const monthlyOccurrence = (rule, from, monthOffset) => {
+  const year = from.getUTCFullYear();
+  const month = from.getUTCMonth() + monthOffset;
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  let day;
+  if (rule.monthMode === "lastWeekday") {
+    const lastDayWeekday = new Date(
+      Date.UTC(year, month, daysInMonth)
+    ).getUTCDay();
+    day = daysInMonth - ((lastDayWeekday - rule.monthWeekday + 7) % 7);
+  } else {
+    // Day 31 falls back to the last day of shorter months
+    day = Math.min(rule.monthDay, daysInMonth);
+  }
+
+  return new Date(
+    Date.UTC(
+      year,
+      month,
+      day,
+      from.getUTCHours(),
+      from.getUTCMinutes(),
+      from.getUTCSeconds()
+    )
+  );
+};
+
+// First occurrence strictly after `from`
+const stepOccurrence = (rule, from) => {
+  const n = Math.max(1, rule.interval || 1);
+
+  switch (rule.freq) {
+    case "daily":
+      return new Date(from.getTime() + n * DAY_MS);
+
+    case "weekly": {
+      const weekdays = rule.weekdays?.length
+        ? rule.weekdays
+        : [from.getUTCDay()];
+      // Sunday-based week number; day 0 of the epoch was a Thursday
+      const weekNumber = (date) => Math.floor((utcDayNumber(date) + 4) / 7);
+      const fromWeek = weekNumber(from);
+
+      for (let offset = 1; offset <= 7 * n + 7; offset++) {
+        const candidate = new Date(from.getTime() + offset * DAY_MS);
+        const weekIndex = weekNumber(candidate);
+        if (
+          (weekIndex - fromWeek) % n === 0 &&
+          weekdays.includes(candidate.getUTCDay())
+        ) {
+          return candidate;
+        }
+      }
+      return null;
     }
-    return {
-      color: "text-emerald-600",
-      bg: "bg-emerald-50",
-      border: "border-emerald-200",
-      label: "Planned",
+
+    case "monthly": {
+      for (let step = 0; step <= 1; step++) {
+        const candidate = monthlyOccurrence(rule, from, step * n);
+        if (candidate > from) return candidate;
+      }
+      return null;
+    }
+
+    default:
+      return null;
+  }
+};
+
+// Due date for the occurrence after one completed at `completedAtIso`.
+// Calendar rules skip occurrences that are already in the past.
+const getNextDueUtc = (rule, dueIso, completedAtIso) => {
+  const timeZone = getRecurrenceTimeZone(rule);
+  if (rule.freq === "afterCompletion") {
+    const n = Math.max(1, rule.interval || 1);
+    const completedAt = toWallDate(completedAtIso, timeZone);
+    return fromWallDate(new Date(completedAt.getTime() + n * DAY_MS), timeZone);
+  }
+
+  if (!dueIso) return null;
+
+  const now = Date.now();
+  // Step on wall dates so an occurrence moved by a DST gap doesn't shift
+  // the ones after it
+  let occurrence = toWallDate(dueIso, timeZone);
+  for (let guard = 0; guard < 1000; guard++) {
+    occurrence = stepOccurrence(rule, occurrence);
+    if (!occurrence) return null;
+    const occurrenceIso = fromWallDate(occurrence, timeZone);
+    if (new Date(occurrenceIso).getTime() > now) return occurrenceIso;
+  }
+  return null;
+};
+
+// Edits to these carry over to later occurrences even when made for "this
+// occurrence" only
+const SERIES_ONLY_FIELDS = ["recurrence", "subtasks", "blockedBy"];
+
+// Builds the next open occurrence when a recurring task is completed.
+// Fields edited for "this occurrence" only are reset to the series values.
+const createNextOccurrence = (task, completedAtIso) => {
+  const seriesDueUtc = task.occurrenceOverrides?.dueUtc ?? task.dueUtc;
+  const nextDueUtc = getNextDueUtc(
+    task.recurrence,
+    seriesDueUtc,
+    completedAtIso
+  );
+  if (!nextDueUtc) return null;
+
+  return createTask({
+    ...task,
+    ...(task.occurrenceOverrides || {}),
+    id: genId(),
+    seriesId: task.seriesId || task.id,
+    dueUtc: nextDueUtc,
+    completed: false,
+    createdAtUtc: nowUtcIso(),
+    deletedAtUtc: null,
+    occurrenceOverrides: null,
+    nextOccurrenceId: null,
+    // Every occurrence starts with a fresh, unchecked checklist
+    subtasks: (task.subtasks ?? []).map((subtask) => ({
+      ...subtask,
+      id: genId(),
+      done: false,
+    })),
+    timeEntries: [],
+    snoozeCount: 0,
+    snoozedUntil: null,
+  });
+};
+
+// ---------------------- Projects ----------------------
+
+// Projects live in the settings store as one list. The Inbox always exists
+// and can't be archived, so every task has somewhere to show up.
+const createProject = (name) => ({
+  id: genId(),
+  name,
+  archived: false,
+  createdAtUtc: nowUtcIso(),
+});
+
+const withInbox = (projects) => {
+  const list = Array.isArray(projects) ? projects : [];
+  const inbox = list.find((project) => project.id === INBOX_PROJECT_ID);
+  return [
+    { ...DEFAULT_SETTINGS.projects[0], ...inbox, archived: false },
+    ...list.filter((project) => project.id !== INBOX_PROJECT_ID),
+  ];
+};
+
+// Counts for the header stats bar and for each project in the sidebar.
+// `tasks` must already exclude trashed tasks.
+const computeTaskStats = (tasks) => {
+  const now = Date.now();
+  const open = tasks.filter((t) => !t.completed);
+
+  return {
+    total: tasks.length,
+    completed: tasks.length - open.length,
+    active: open.length,
+    overdue: open.filter((t) => t.dueUtc && new Date(t.dueUtc) < now).length,
+    dueSoon: open.filter(
+      (t) =>
+        t.dueUtc &&
+        new Date(t.dueUtc) > now &&
+        new Date(t.dueUtc) <= now + 5 * 60 * 60 * 1000
+    ).length,
+    withClients: open.filter((t) => t.clientName || t.clientCountry).length,
+    subtasks: open.reduce((sum, t) => sum + (t.subtasks?.length || 0), 0),
+    subtasksDone: open.reduce(
+      (sum, t) =>
+        sum + (t.subtasks || []).filter((subtask) => subtask.done).length,
+      0
+    ),
+  };
+};
+
+// ---------------------- Dependencies ----------------------
+
+// A blocker only holds a task back while it is open and not in the Trash
+const getOpenBlockers = (task, tasksById) =>
+  (task.blockedBy || [])
+    .map((id) => tasksById.get(id))
+    .filter(
+      (blocker) => blocker && !blocker.completed && !blocker.deletedAtUtc
+    );
+
+// True when letting `taskId` wait on `blockedBy` would close a loop, i.e. one
+// of the blockers already waits (directly or not) on `taskId` itself.
+const createsDependencyCycle = (taskId, blockedBy, tasksById) => {
+  const seen = new Set();
+  const stack = [...blockedBy];
+
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === taskId) return true;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    stack.push(...(tasksById.get(id)?.blockedBy || []));
+  }
+  return false;
+};
+
+// ---------------------- Time Tracking ----------------------
+
+// Time entries are { id, startUtc, endUtc }; a running timer is the entry
+// without an end. It lives in the task record, so it survives reloads.
+const getRunningEntry = (task) =>
+  (task.timeEntries || []).find((entry) => !entry.endUtc) || null;
+
+const stopRunningEntry = (task, endUtc) => ({
+  ...task,
+  timeEntries: (task.timeEntries || []).map((entry) =>
+    entry.endUtc ? entry : { ...entry, endUtc }
+  ),
+});
+
+const getEntryMs = (entry, nowMs = Date.now()) =>
+  Math.max(
+    0,
+    (entry.endUtc ? new Date(entry.endUtc).getTime() : nowMs) -
+      new Date(entry.startUtc).getTime()
+  );
+
+const getTrackedMs = (task, nowMs = Date.now()) =>
+  (task.timeEntries || []).reduce(
+    (sum, entry) => sum + getEntryMs(entry, nowMs),
+    0
+  );
+
+const formatDuration = (ms) => {
+  const totalMinutes = Math.floor(ms / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, "0")}m`;
+  if (minutes > 0) return `${minutes}m`;
+  return `${Math.floor(ms / 1000)}s`;
+};
+
+const formatStopwatch = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(Math.floor(totalSeconds / 3600))}:${pad(
+    Math.floor((totalSeconds % 3600) / 60)
+  )}:${pad(totalSeconds % 60)}`;
+};
+
+// ---------------------- Clients ----------------------
+
+// "ACME Inc.", "Acme" and " acme " all name the same client
+const CLIENT_NAME_SUFFIXES =
+  /\s+(inc|incorporated|ltd|limited|llc|co|corp|corporation|gmbh|plc)$/;
+
+const normalizeClientKey = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/[.,'"]/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(CLIENT_NAME_SUFFIXES, "");
+
+const findClientByName = (clients, name) => {
+  const key = normalizeClientKey(name);
+  return key
+    ? clients.find((client) => normalizeClientKey(client.name) === key) || null
+    : null;
+};
+
+const createClient = (fields) => ({
+  id: genId(),
+  name: "",
+  country: "",
+  timezone: "",
+  contactName: "",
+  email: "",
+  phone: "",
+  notes: "",
+  createdAtUtc: nowUtcIso(),
+  ...fields,
+});
+
+// A task's own timezone wins over its client's; null when neither is set or
+// it is the user's own zone anyway
+const getTaskTimeZone = (task, clientsById) => {
+  const timeZone =
+    task.timezone || clientsById.get(task.clientId)?.timezone || null;
+  return isValidTimeZone(timeZone) && timeZone !== getUserTimeZone()
+    ? timeZone
+    : null;
+};
+
+// Matches each task's free-text client to a directory entry, creating
+// entries for names the directory doesn't know yet. Returns the new
+// directory and taskId -> client.
+const linkTasksToClients = (clients, tasks) => {
+  const nextClients = clients.slice();
+  const links = new Map();
+
+  tasks.forEach((task) => {
+    let client = findClientByName(nextClients, task.clientName);
+    if (!client) {
+      client = createClient({
+        name: task.clientName.trim(),
+        country: task.clientCountry || "",
+      });
+      nextClients.push(client);
+    }
+    links.set(task.id, client);
+  });
+
+  return { clients: nextClients, links };
+};
+
+// ---------------------- Billing ----------------------
+
+const getClientRate = (clientRates, clientName, defaultCurrency) => ({
+  rate: 0,
+  currency: defaultCurrency,
+  ...(clientRates || {})[clientName],
+});
+
+const formatMoney = (amount, currency) => {
+  try {
+    return new Intl.NumberFormat(undefined, {
+      style: "currency",
+      currency,
+    }).format(amount);
+  } catch {
+    // Unknown currency code
+    return `${amount.toFixed(2)} ${currency}`;
+  }
+};
+
+const formatHours = (ms) => (ms / 3600000).toFixed(2);
+
+// Billable time per client for finished entries that started in [from, to].
+// Only counts entries that are billable on a billable, non-trashed task.
+const buildBillingReport = (tasks, from, to, clientRates, defaultCurrency) => {
+  const byClient = new Map();
+  let unassignedMs = 0;
+
+  tasks.forEach((task) => {
+    if (task.deletedAtUtc || !task.billable) return;
+
+    const ms = (task.timeEntries || [])
+      .filter((entry) => {
+        const start = new Date(entry.startUtc);
+        return (
+          entry.endUtc &&
+          entry.billable !== false &&
+          start >= from &&
+          start <= to
+        );
+      })
+      .reduce((sum, entry) => sum + getEntryMs(entry), 0);
+    if (ms === 0) return;
+
+    if (!task.clientName) {
+      unassignedMs += ms;
+      return;
+    }
+
+    if (!byClient.has(task.clientName)) {
+      const { rate, currency } = getClientRate(
+        clientRates,
+        task.clientName,
+        defaultCurrency
+      );
+      byClient.set(task.clientName, {
+        clientName: task.clientName,
+        rate,
+        currency,
+        ms: 0,
+        amount: 0,
+        lines: [],
+      });
+    }
+
+    const client = byClient.get(task.clientName);
+    const amount = (ms / 3600000) * client.rate;
+    client.lines.push({ taskId: task.id, taskTitle: task.title, ms, amount });
+    client.ms += ms;
+    client.amount += amount;
+  });
+
+  const clients = [...byClient.values()].sort((a, b) =>
+    a.clientName.localeCompare(b.clientName)
+  );
+  const totals = clients.reduce(
+    (sum, client) => ({
+      ...sum,
+      [client.currency]: (sum[client.currency] || 0) + client.amount,
+    }),
+    {}
+  );
+
+  return { clients, totals, unassignedMs };
+};
+
+// Spreadsheets run cells starting with these as formulas, so a task titled
+// "=HYPERLINK(...)" is exported as text instead
+const toCsvCell = (value) => {
+  const text = String(value);
+  const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return `"${safe.replace(/"/g, '""')}"`;
+};
+
+const toCsvRow = (values) => values.map(toCsvCell).join(",");
+
+const buildBillingCsv = (report) =>
+  [
+    toCsvRow(["Client", "Task", "Hours", "Rate", "Currency", "Amount"]),
+    ...report.clients.flatMap((client) => [
+      ...client.lines.map((line) =>
+        toCsvRow([
+          client.clientName,
+          line.taskTitle,
+          formatHours(line.ms),
+          client.rate.toFixed(2),
+          client.currency,
+          line.amount.toFixed(2),
+        ])
+      ),
+      toCsvRow([
+        client.clientName,
+        "TOTAL",
+        formatHours(client.ms),
+        client.rate.toFixed(2),
+        client.currency,
+        client.amount.toFixed(2),
+      ]),
+    ]),
+  ].join("\r\n");
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const buildInvoiceHtml = (report, periodLabel) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>Invoice - ${escapeHtml(periodLabel)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #0f172a; margin: 40px; }
+  h1 { margin-bottom: 4px; }
+  .period { color: #475569; margin-bottom: 32px; }
+  h2 { margin: 32px 0 8px; font-size: 18px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { padding: 8px; border-bottom: 1px solid #e2e8f0; text-align: left; }
+  td.num, th.num { text-align: right; font-variant-numeric: tabular-nums; }
+  tfoot td { font-weight: 600; border-top: 2px solid #0f172a; }
+  .grand { margin-top: 32px; font-size: 18px; text-align: right; }
+  @media print { .no-print { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<button class="no-print" onclick="window.print()">Print</button>
+<h1>${escapeHtml(APP_TITLE)} Invoice</h1>
+<div class="period">Billable time for ${escapeHtml(periodLabel)}</div>
+${report.clients
+  .map(
+    (client) => `<h2>${escapeHtml(client.clientName)}</h2>
+<table>
+<thead><tr><th>Task</th><th class="num">Hours</th><th class="num">Rate</th><th class="num">Amount</th></tr></thead>
+<tbody>
+${client.lines
+  .map(
+    (line) =>
+      `<tr><td>${escapeHtml(line.taskTitle)}</td><td class="num">${formatHours(
+        line.ms
+      )}</td><td class="num">${escapeHtml(
+        formatMoney(client.rate, client.currency)
+      )}</td><td class="num">${escapeHtml(
+        formatMoney(line.amount, client.currency)
+      )}</td></tr>`
+  )
+  .join("\n")}
+</tbody>
+<tfoot><tr><td>Total</td><td class="num">${formatHours(
+      client.ms
+    )}</td><td></td><td class="num">${escapeHtml(
+      formatMoney(client.amount, client.currency)
+    )}</td></tr></tfoot>
+</table>`
+  )
+  .join("\n")}
+<div class="grand">${Object.entries(report.totals)
+  .map(
+    ([currency, amount]) =>
+      `Total due: <strong>${escapeHtml(formatMoney(amount, currency))}</strong>`
+  )
+  .join("<br />")}</div>
+</body>
+</html>`;
+
+// ---------------------- Reminders ----------------------
+
+// A reminder is either relative to the due time ({ secondsBefore }) or a
+// wall-clock time some days before it ({ daysBefore, time: "HH:mm" }),
+// read in the task's timezone.
+const REMINDER_UNITS = { seconds: 1, minutes: 60, hours: 3600, days: 86400 };
+
+const isAbsoluteReminder = (reminder) => reminder.time !== undefined;
+
+const getReminderKey = (reminder) =>
+  isAbsoluteReminder(reminder)
+    ? `${reminder.daysBefore}d@${reminder.time}`
+    : `${reminder.secondsBefore}s`;
+
+// Rough lead time, only used to list reminders earliest first
+const getReminderSortSeconds = (reminder) => {
+  if (!isAbsoluteReminder(reminder)) return reminder.secondsBefore;
+  const [hours, minutes] = reminder.time.split(":").map(Number);
+  return reminder.daysBefore * 86400 - hours * 3600 - minutes * 60;
+};
+
+// Drops malformed and duplicate reminders and sorts earliest first
+const normalizeReminders = (reminders) => {
+  const byKey = new Map();
+  reminders.forEach((reminder) => {
+    if (!reminder) return;
+    const valid = isAbsoluteReminder(reminder)
+      ? Number.isInteger(reminder.daysBefore) &&
+        reminder.daysBefore >= 0 &&
+        /^([01]\d|2[0-3]):[0-5]\d$/.test(reminder.time)
+      : Number.isFinite(reminder.secondsBefore) && reminder.secondsBefore >= 0;
+    if (!valid) return;
+
+    const clean = isAbsoluteReminder(reminder)
+      ? { daysBefore: reminder.daysBefore, time: reminder.time }
+      : { secondsBefore: reminder.secondsBefore };
+    byKey.set(getReminderKey(clean), clean);
+  });
+  return [...byKey.values()].sort(
+    (a, b) => getReminderSortSeconds(b) - getReminderSortSeconds(a)
+  );
+};
+
+const pluralize = (count, unit) => `${count} ${unit}${count === 1 ? "" : "s"}`;
+
+const describeReminder = (reminder) => {
+  if (isAbsoluteReminder(reminder)) {
+    if (reminder.daysBefore === 0) return `${reminder.time} on the due day`;
+    if (reminder.daysBefore === 1) return `${reminder.time} the day before`;
+    return `${reminder.time}, ${reminder.daysBefore} days before`;
+  }
+
+  const seconds = reminder.secondsBefore;
+  if (seconds === 0) return "At the due time";
+  const [unit, size] =
+    seconds % 86400 === 0
+      ? ["day", 86400]
+      : seconds % 3600 === 0
+      ? ["hour", 3600]
+      : seconds % 60 === 0
+      ? ["minute", 60]
+      : ["second", 1];
+  return `${pluralize(seconds / size, unit)} before`;
+};
+
+const describeReminders = (reminders) =>
+  reminders.length === 0
+    ? "No reminders"
+    : reminders.map(describeReminder).join(", ");
+
+// A task's own schedule replaces the default one entirely; otherwise high
+// priorities add their extra, earlier reminders to the defaults.
+const getTaskReminders = (task, defaultReminders) =>
+  task.reminders ??
+  normalizeReminders([
+    ...(PRIORITY_LEVELS[task.priority]?.extraReminders || []),
+    ...defaultReminders,
+  ]);
+
+// When each reminder fires for the task's current due date. Reminders that
+// would land after the due time are skipped.
+const getReminderTimes = (task, reminders, timeZone) => {
+  if (!task.dueUtc) return [];
+  const dueMs = new Date(task.dueUtc).getTime();
+  const dueDate = reminders.some(isAbsoluteReminder)
+    ? utcIsoToLocalInputValue(task.dueUtc, timeZone).split("T")[0]
+    : null;
+
+  return reminders
+    .map((reminder) => {
+      if (!isAbsoluteReminder(reminder)) {
+        return {
+          key: getReminderKey(reminder),
+          atMs: dueMs - reminder.secondsBefore * 1000,
+        };
+      }
+
+      const day = new Date(`${dueDate}T00:00:00Z`);
+      day.setUTCDate(day.getUTCDate() - reminder.daysBefore);
+      const atIso = datetimeLocalToUtcIso(
+        `${day.toISOString().slice(0, 10)}T${reminder.time}`,
+        timeZone
+      );
+      return { key: getReminderKey(reminder), atMs: new Date(atIso).getTime() };
+    })
+    .filter(({ atMs }) => atMs <= dueMs);
+};
+
+// Every reminder of every open task as { key, taskId, dueUtc, atUtc },
+// including one-off snooze reminders. Keys include the due time, so
+// rescheduling a task re-arms its reminders.
+const buildReminderSchedule = (tasks, clientsById, defaultReminders) =>
+  tasks
+    .filter((task) => task.dueUtc && !task.completed)
+    .flatMap((task) => {
+      const timeZone = getTaskTimeZone(task, clientsById) || getUserTimeZone();
+      const reminders = getReminderTimes(
+        task,
+        getTaskReminders(task, defaultReminders),
+        timeZone
+      ).map(({ key, atMs }) => ({
+        key: `task-${task.id}@${task.dueUtc}-${key}`,
+        taskId: task.id,
+        dueUtc: task.dueUtc,
+        atUtc: new Date(atMs).toISOString(),
+      }));
+
+      if (task.snoozedUntil) {
+        reminders.push({
+          key: `task-${task.id}-snooze@${task.snoozedUntil}`,
+          taskId: task.id,
+          dueUtc: task.dueUtc,
+          atUtc: task.snoozedUntil,
+        });
+      }
+      return reminders;
+    });
+
+// Folds missed schedule entries into per-task groups, adding to `groups`
+const groupMissedReminders = (reminders, tasksById, groups = []) => {
+  const byTask = new Map(groups.map((group) => [group.taskId, { ...group }]));
+  reminders.forEach((reminder) => {
+    const task = tasksById.get(reminder.taskId);
+    const group = byTask.get(reminder.taskId) || {
+      taskId: reminder.taskId,
+      title: task?.title || "Untitled",
+      dueUtc: reminder.dueUtc,
+      count: 0,
     };
+    group.count += 1;
+    byTask.set(reminder.taskId, group);
+  });
+  return [...byTask.values()];
+};
+
+// Same wording as the summary public/sw.js shows
+const describeMissedReminders = (groups) => {
+  const total = groups.reduce((sum, group) => sum + group.count, 0);
+  const lines = groups
+    .slice(0, 5)
+    .map(
+      (group) => `• ${group.title}${group.count > 1 ? ` (${group.count})` : ""}`
+    );
+  if (groups.length > 5) lines.push(`…and ${groups.length - 5} more tasks`);
+
+  return {
+    title: `🔔 You missed ${pluralize(total, "reminder")}`,
+    body: lines.join("\n"),
+  };
+};
+
+// ---------------------- Cross-Tab Sync ----------------------
+
+const TAB_ID = genId();
+
+// BroadcastChannel where available, otherwise `storage` events on a scratch
+// localStorage key. Messages from this tab are never delivered back to it.
+const createSyncChannel = () => {
+  const listeners = new Set();
+  let channel = null;
+
+  const deliver = (message) => {
+    if (!message || message.sourceId === TAB_ID) return;
+    listeners.forEach((listener) => listener(message));
+  };
+
+  if ("BroadcastChannel" in window) {
+    channel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+    channel.onmessage = (event) => deliver(event.data);
+  } else {
+    window.addEventListener("storage", (event) => {
+      if (event.key !== SYNC_STORAGE_KEY || !event.newValue) return;
+      try {
+        deliver(JSON.parse(event.newValue));
+      } catch (error) {
+        console.error("Invalid sync message:", error);
+      }
+    });
+  }
+
+  return {
+    post(type, payload = {}) {
+      const message = { ...payload, type, id: genId(), sourceId: TAB_ID };
+      try {
+        if (channel) {
+          channel.postMessage(message);
+        } else {
+          localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify(message));
+        }
+      } catch (error) {
+        console.error("Failed to broadcast sync message:", error);
+      }
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+const syncChannel = createSyncChannel();
+
+// Empty strings, null and undefined all mean "not set"
+const isSameFieldValue = (a, b) =>
+  (a ?? "") === (b ?? "") ||
+  JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const diffTaskFields = (before, after) =>
+  Object.keys(TRACKED_TASK_FIELDS)
+    .filter((field) => !isSameFieldValue(before[field], after[field]))
+    .map((field) => ({
+      field,
+      from: before[field] ?? null,
+      to: after[field] ?? null,
+    }));
+
+// `lookups` turns stored ids back into names: { projectNames, taskTitles }
+const formatFieldValue = (field, value, lookups = {}) => {
+  if (field === "reminders") {
+    return value ? describeReminders(value) : "Default schedule";
+  }
+  if (value === null || value === undefined || value === "") return "—";
+  if (field === "projectId") return lookups.projectNames?.[value] || value;
+  if (field === "billable") return value ? "Yes" : "No";
+  if (field === "blockedBy") {
+    if (value.length === 0) return "—";
+    return value
+      .map((id) => lookups.taskTitles?.[id] || "(removed task)")
+      .join(", ");
+  }
+  if (field === "dueUtc") return getTimeWithTimezone(value, "UTC");
+  if (field === "recurrence") return describeRecurrence(value);
+  if (field === "priority") {
+    const level = PRIORITY_LEVELS[value];
+    return level ? `${level.label} · ${level.name}` : String(value);
+  }
+  if (field === "tags") {
+    return value.length === 0 ? "—" : value.map((tag) => `#${tag}`).join(" ");
+  }
+  if (field === "subtasks") {
+    if (value.length === 0) return "—";
+    return value
+      .map((subtask) => `${subtask.done ? "☑" : "☐"} ${subtask.title}`)
+      .join(", ");
+  }
+  return String(value);
+};
+
+const addToHistory = (
+  action,
+  task,
+  oldValue = null,
+  newValue = null,
+  changes = []
+) => {
+  const historyEntry = {
+    id: genId(),
+    timestamp: nowUtcIso(),
+    action,
+    taskId: task.id,
+    taskTitle: task.title,
+    clientName: task.clientName,
+    clientCountry: task.clientCountry,
+    dueUtc: task.dueUtc,
+    notes: task.notes,
+    oldValue,
+    newValue,
+    changes,
+    completedAt: action === "completed" ? nowUtcIso() : null,
+    trackedMs: getTrackedMs(task),
+    // Full copy so a permanently deleted task can be restored from the log
+    snapshot: action === "deleted" ? task : null,
+  };
+
+  taskRepository.addHistoryEntries([historyEntry]).catch((error) => {
+    console.error("Failed to save history:", error);
+  });
+
+  return historyEntry;
+};
+
+// ---------------------- Components ----------------------
+
+const LoadingSpinner = ({ size = "md", className = "" }) => (
+  <div
+    className={`animate-spin rounded-full border-2 border-gray-200 border-t-blue-500 ${className} ${
+      size === "sm" ? "w-4 h-4" : size === "md" ? "w-6 h-6" : "w-8 h-8"
+    }`}
+  />
+);
+
+const Toast = ({ message, type = "info", action, onClose }) => {
+  useEffect(() => {
+    const timer = setTimeout(onClose, 5000);
+    return () => clearTimeout(timer);
+  }, [onClose]);
+
+  const config = {
+    success: { bg: "bg-emerald-500", icon: "✅" },
+    error: { bg: "bg-rose-500", icon: "❌" },
+    warning: { bg: "bg-amber-500", icon: "⚠️" },
+    info: { bg: "bg-blue-500", icon: "💡" },
+  }[type];
+
+  return (
+    <div
+      className={`${config.bg} text-white px-4 py-3 rounded-xl shadow-lg flex items-center gap-3 min-w-80 animate-slide-in-right`}
+    >
+      <span className="text-lg">{config.icon}</span>
+      <span className="flex-1 text-sm font-medium">{message}</span>
+      {action && (
+        <button
+          onClick={() => {
+            action.onClick();
+            onClose();
+          }}
+          className="px-2 py-1 text-sm font-semibold underline hover:bg-white hover:bg-opacity-20 rounded-lg transition-all duration-200"
+        >
+          {action.label}
+        </button>
+      )}
+      <button
+        onClick={onClose}
+        className="p-1 hover:bg-white hover:bg-opacity-20 rounded-lg transition-all duration-200"
+      >
+        ×
+      </button>
+    </div>
+  );
+};
+
+const LiveTimeDisplay = () => {
+  const currentTime = useLiveTime();
+
+  return (
+    <div className="bg-gradient-to-br from-slate-800 to-slate-900 rounded-3xl p-6 text-white shadow-2xl border border-slate-700">
+      <div className="text-center mb-4">
+        <div className="flex items-center justify-center gap-2 mb-2">
+          <div className="w-2 h-2 bg-emerald-400 rounded-full animate-pulse"></div>
+          <h3 className="text-lg font-semibold text-slate-200">
+            Live Time Tracker (12-hour format)
+          </h3>
+          <div className="w-2 h-2 bg-emerald-400 rounded-full animate-pulse"></div>
+        </div>
+      </div>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="bg-slate-700 bg-opacity-50 rounded-2xl p-5 border border-slate-600 transition-all duration-300 hover:border-slate-500">
+          <div className="flex items-center gap-3 mb-3">
+            <div className="w-3 h-3 bg-blue-400 rounded-full animate-pulse"></div>
+            <div className="text-slate-300 text-sm font-medium">
+              UTC Time (Global Standard)
+            </div>
+          </div>
+          <div className="text-2xl lg:text-3xl font-mono font-bold text-blue-300">
+            {getTimeWithTimezone(currentTime.utc, "UTC")}
+          </div>
+          <div className="text-xs text-slate-400 mt-2">
+            All tasks are stored and managed in UTC
+          </div>
+        </div>
+        <div className="bg-slate-700 bg-opacity-50 rounded-2xl p-5 border border-slate-600 transition-all duration-300 hover:border-slate-500">
+          <div className="flex items-center gap-3 mb-3">
+            <div className="w-3 h-3 bg-emerald-400 rounded-full animate-pulse"></div>
+            <div className="text-slate-300 text-sm font-medium">
+              Your Local Time ({currentTime.userTimezone})
+            </div>
+          </div>
+          <div className="text-2xl lg:text-3xl font-mono font-bold text-emerald-300">
+            {currentTime.userLocalTime}
+          </div>
+          <div className="text-xs text-slate-400 mt-2">
+            Automatically detected from your device
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const CountdownTimer = ({
+  targetDate,
+  taskTitle,
+  compact = false,
+  clientTimeZone = null,
+}) => {
+  const timeLeft = useCountdown(targetDate);
+
+  if (!targetDate) return null;
+
+  const getTimerConfig = () => {
+    if (timeLeft.isOverdue) {
+      return {
+        color: "text-rose-600",
+        bg: "bg-rose-50",
+        border: "border-rose-200",
+        label: "Overdue",
+      };
+    }
+    if (timeLeft.totalMinutes <= 10) {
+      return {
+        color: "text-rose-600",
+        bg: "bg-rose-50",
+        border: "border-rose-200",
+        label: "Urgent",
+      };
+    }
+    if (timeLeft.totalMinutes <= 30) {
+      return {
+        color: "text-amber-600",
+        bg: "bg-amber-50",
+        border: "border-amber-200",
+        label: "Soon",
+      };
+    }
+    if (timeLeft.totalMinutes <= 60) {
+      return {
+        color: "text-yellow-600",
+        bg: "bg-yellow-50",
+        border: "border-yellow-200",
+        label: "Approaching",
+      };
+    }
+    if (timeLeft.totalMinutes <= 120) {
+      return {
+        color: "text-blue-600",
+        bg: "bg-blue-50",
+        border: "border-blue-200",
+        label: "Upcoming",
+      };
+    }
+    return {
+      color: "text-emerald-600",
+      bg: "bg-emerald-50",
+      border: "border-emerald-200",
+      label: "Planned",
+    };
+  };
+
+  const timerConfig = getTimerConfig();
+
+  const getTimerText = () => {
+    if (timeLeft.isOverdue) {
+      const overdueMinutes = Math.abs(timeLeft.totalMinutes);
+      if (overdueMinutes < 60) return `${overdueMinutes}m overdue`;
+      return `${Math.floor(overdueMinutes / 60)}h ${
+        overdueMinutes % 60
+      }m overdue`;
+    }
+
+    if (timeLeft.days > 0) {
+      return `${timeLeft.days}d ${timeLeft.hours}h`;
+    }
+
+    if (timeLeft.hours > 0) {
+      return `${timeLeft.hours}h ${timeLeft.minutes}m`;
+    }
+
+    if (timeLeft.minutes > 0) {
+      return `${timeLeft.minutes}m ${timeLeft.seconds}s`;
+    }
+
+    return `${timeLeft.seconds}s`;
+  };
+
+  if (compact) {
+    return (
+      <>
+        <div
+          className={`inline-flex items-center gap-2 px-3 py-1.5 rounded-full border text-xs font-medium ${timerConfig.color} ${timerConfig.bg} ${timerConfig.border}`}
+        >
+          <div className="w-1.5 h-1.5 bg-current rounded-full animate-pulse"></div>
+          {getTimerText()}
+        </div>
+        {clientTimeZone && (
+          <span
+            className="inline-flex items-center gap-1 px-2 py-1 text-xs text-slate-500"
+            title={clientTimeZone}
+          >
+            🕒 {formatClientDueTime(targetDate, clientTimeZone)}
+          </span>
+        )}
+      </>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      <div
+        className={`flex items-center gap-3 px-4 py-3 rounded-xl border transition-all duration-300 ${timerConfig.bg} ${timerConfig.border}`}
+      >
+        <div className="flex items-center gap-3 flex-1">
+          <div className="w-2 h-2 bg-current rounded-full animate-pulse"></div>
+          <div className="flex-1">
+            <div className="flex items-center gap-2">
+              <span className={`text-sm font-semibold ${timerConfig.color}`}>
+                {getTimerText()}
+              </span>
+              <span className="text-xs text-slate-500">until</span>
+            </div>
+            <div className="text-sm text-slate-700 font-medium truncate">
+              "{taskTitle}"
+            </div>
+            {clientTimeZone && (
+              <div
+                className="text-xs text-slate-500 truncate"
+                title={clientTimeZone}
+              >
+                🕒 {formatClientDueTime(targetDate, clientTimeZone)}
+              </div>
+            )}
+          </div>
+        </div>
+        <div
+          className={`px-2 py-1 rounded-full text-xs font-medium ${
+            timerConfig.color
+          } ${timerConfig.bg.replace("50", "100")}`}
+        >
+          {timerConfig.label}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const HistoryPanel = ({ isOpen, onClose, tasks, projects, onRestore }) => {
+  const [history, setHistory] = useState([]);
+  const [actionFilter, setActionFilter] = useState("all");
+  const [clientFilter, setClientFilter] = useState("all");
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
+  const currentTime = useLiveTime();
+
+  const fieldLookups = useMemo(
+    () => ({
+      projectNames: Object.fromEntries(
+        (projects || []).map((project) => [project.id, project.name])
+      ),
+      taskTitles: Object.fromEntries(
+        tasks.map((task) => [task.id, task.title])
+      ),
+    }),
+    [projects, tasks]
+  );
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const loadHistory = () => {
+      taskRepository
+        .getHistory()
+        .then(setHistory)
+        .catch((error) => {
+          console.error("Failed to load history:", error);
+        });
+    };
+
+    loadHistory();
+
+    // Pick up activity from this and other windows while the panel is open
+    return syncChannel.subscribe((message) => {
+      if (message.type === "HISTORY_CHANGED") loadHistory();
+    });
+  }, [isOpen]);
+
+  // Unified clear history function
+  const clearHistory = () => {
+    if (
+      window.confirm(
+        "Are you sure you want to clear the ENTIRE activity log permanently? This action cannot be undone and deleted tasks can no longer be restored from it."
+      )
+    ) {
+      taskRepository
+        .clearHistory()
+        .then(() => {
+          setHistory([]);
+          // Show success message
+          if (window.addToast) {
+            window.addToast("All history cleared permanently", "success");
+          }
+        })
+        .catch((error) => {
+          console.error("Failed to clear history:", error);
+        });
+    }
+  };
+
+  const clientOptions = useMemo(
+    () =>
+      [
+        ...new Set(history.map((entry) => entry.clientName).filter(Boolean)),
+      ].sort((a, b) => a.localeCompare(b)),
+    [history]
+  );
+
+  const filteredHistory = useMemo(() => {
+    // Date inputs are calendar days in the user's own timezone
+    const from = fromDate ? new Date(`${fromDate}T00:00:00`) : null;
+    const to = toDate ? new Date(`${toDate}T23:59:59.999`) : null;
+
+    return history.filter((entry) => {
+      if (actionFilter !== "all" && entry.action !== actionFilter) return false;
+      if (clientFilter !== "all" && entry.clientName !== clientFilter) {
+        return false;
+      }
+
+      const timestamp = new Date(entry.timestamp);
+      if (from && timestamp < from) return false;
+      if (to && timestamp > to) return false;
+      return true;
+    });
+  }, [history, actionFilter, clientFilter, fromDate, toDate]);
+
+  const hasFilters =
+    actionFilter !== "all" || clientFilter !== "all" || fromDate || toDate;
+
+  const resetFilters = () => {
+    setActionFilter("all");
+    setClientFilter("all");
+    setFromDate("");
+    setToDate("");
+  };
+
+  const existingTaskIds = useMemo(
+    () => new Set(tasks.map((task) => task.id)),
+    [tasks]
+  );
+
+  const getCompletionStats = () => {
+    const completedHistory = history.filter(
+      (item) => item.action === "completed"
+    );
+    const today = new Date();
+    const lastWeek = new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+    const completedThisWeek = completedHistory.filter(
+      (item) => new Date(item.completedAt) > lastWeek
+    ).length;
+
+    const completedToday = completedHistory.filter((item) => {
+      const completedDate = new Date(item.completedAt);
+      return completedDate.toDateString() === today.toDateString();
+    }).length;
+
+    return {
+      completedThisWeek,
+      completedToday,
+      totalCompleted: completedHistory.length,
+    };
+  };
+
+  const stats = getCompletionStats();
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4 safe-area-inset">
+      <div className="bg-white rounded-3xl shadow-2xl w-full max-w-6xl max-h-[80vh] flex flex-col">
+        <div className="flex items-center justify-between p-6 border-b border-slate-200">
+          <div>
+            <h2 className="text-2xl font-bold text-slate-900">Activity Log</h2>
+            <div className="flex flex-wrap gap-4 mt-2 text-sm text-slate-600">
+              <span>
+                UTC:{" "}
+                <strong>{getTimeWithTimezone(currentTime.utc, "UTC")}</strong>
+              </span>
+              <span>
+                Your Time: <strong>{currentTime.userLocalTime}</strong>
+              </span>
+            </div>
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={clearHistory}
+              className="px-4 py-2 bg-rose-500 text-white rounded-xl hover:bg-rose-600 transition-all duration-200 font-medium flex items-center gap-2"
+            >
+              <svg
+                className="w-4 h-4"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"
+                />
+              </svg>
+              Clear All History
+            </button>
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-slate-600 hover:bg-slate-50 rounded-xl transition-all duration-200 font-medium"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+
+        {/* Stats Overview */}
+        <div className="bg-gradient-to-r from-blue-50 to-indigo-50 border-b border-slate-200">
+          <div className="p-6">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="text-center p-4 bg-white rounded-xl border border-slate-200">
+                <div className="text-2xl font-bold text-blue-600">
+                  {stats.totalCompleted}
+                </div>
+                <div className="text-sm text-slate-600">Total Completed</div>
+              </div>
+              <div className="text-center p-4 bg-white rounded-xl border border-slate-200">
+                <div className="text-2xl font-bold text-green-600">
+                  {stats.completedThisWeek}
+                </div>
+                <div className="text-sm text-slate-600">This Week</div>
+              </div>
+              <div className="text-center p-4 bg-white rounded-xl border border-slate-200">
+                <div className="text-2xl font-bold text-emerald-600">
+                  {stats.completedToday}
+                </div>
+                <div className="text-sm text-slate-600">Today</div>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="px-6 py-4 border-b border-slate-200">
+          <div className="flex flex-wrap items-end gap-3">
+            <div>
+              <label className="block text-xs font-medium text-slate-600 mb-1">
+                Action
+              </label>
+              <select
+                value={actionFilter}
+                onChange={(e) => setActionFilter(e.target.value)}
+                className="px-3 py-2 rounded-lg border border-slate-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+              >
+                <option value="all">All Actions</option>
+                {Object.entries(HISTORY_ACTIONS).map(([action, config]) => (
+                  <option key={action} value={action}>
+                    {config.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-slate-600 mb-1">
+                Client
+              </label>
+              <select
+                value={clientFilter}
+                onChange={(e) => setClientFilter(e.target.value)}
+                className="px-3 py-2 rounded-lg border border-slate-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+              >
+                <option value="all">All Clients</option>
+                {clientOptions.map((client) => (
+                  <option key={client} value={client}>
+                    {client}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-slate-600 mb-1">
+                From
+              </label>
+              <input
+                type="date"
+                value={fromDate}
+                max={toDate || undefined}
+                onChange={(e) => setFromDate(e.target.value)}
+                className="px-3 py-2 rounded-lg border border-slate-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-slate-600 mb-1">
+                To
+              </label>
+              <input
+                type="date"
+                value={toDate}
+                min={fromDate || undefined}
+                onChange={(e) => setToDate(e.target.value)}
+                className="px-3 py-2 rounded-lg border border-slate-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+              />
+            </div>
+            {hasFilters && (
+              <button
+                onClick={resetFilters}
+                className="px-3 py-2 text-sm text-slate-600 hover:bg-slate-50 rounded-lg transition-all duration-200"
+              >
+                Reset filters
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6">
+          {filteredHistory.length === 0 ? (
+            <div className="text-center py-12 text-slate-500">
+              <div className="text-6xl mb-4">📜</div>
+              <h3 className="text-xl font-semibold mb-2">
+                {history.length === 0
+                  ? "No activity yet"
+                  : "No activity matches your filters"}
+              </h3>
+              <p>
+                {history.length === 0
+                  ? "Task changes will appear here automatically"
+                  : "Try adjusting the action, client or date range"}
+              </p>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              {filteredHistory.map((entry) => {
+                const actionConfig =
+                  HISTORY_ACTIONS[entry.action] || HISTORY_ACTIONS.updated;
+                const isRestorable =
+                  entry.action === "deleted" &&
+                  !existingTaskIds.has(entry.taskId);
+
+                return (
+                  <div
+                    key={entry.id}
+                    className="flex items-start gap-4 p-5 bg-slate-50 rounded-xl border border-slate-200 hover:bg-white transition-all duration-200"
+                  >
+                    <div
+                      className={`flex-shrink-0 w-10 h-10 ${actionConfig.iconBg} rounded-xl flex items-center justify-center`}
+                    >
+                      <span className="text-lg">{actionConfig.icon}</span>
+                    </div>
+                    <div className="flex-1 min-w-0">
+                      <div className="flex flex-wrap items-center gap-2 mb-3">
+                        <span
+                          className={`font-semibold ${actionConfig.color} ${actionConfig.bg} px-2 py-1 rounded-lg text-sm`}
+                        >
+                          {actionConfig.label}
+                        </span>
+                        <span className="text-sm text-slate-500">
+                          {formatForDisplay(
+                            entry.timestamp,
+                            currentTime.userTimezone
+                          )}
+                        </span>
+                      </div>
+
+                      <div className="space-y-2">
+                        <h4 className="text-lg font-semibold text-slate-900">
+                          {entry.taskTitle}
+                        </h4>
+
+                        {entry.changes?.length > 0 ? (
+                          <ul className="space-y-1 text-sm text-slate-600">
+                            {entry.changes.map((change) => (
+                              <li key={change.field} className="break-words">
+                                <span className="font-medium text-slate-700">
+                                  {TRACKED_TASK_FIELDS[change.field] ||
+                                    change.field}
+                                  :
+                                </span>{" "}
+                                <span className="line-through text-slate-400">
+                                  {formatFieldValue(
+                                    change.field,
+                                    change.from,
+                                    fieldLookups
+                                  )}
+                                </span>{" "}
+                                →{" "}
+                                {formatFieldValue(
+                                  change.field,
+                                  change.to,
+                                  fieldLookups
+                                )}
+                              </li>
+                            ))}
+                          </ul>
+                        ) : (
+                          (entry.oldValue || entry.newValue) && (
+                            <p className="text-sm text-slate-600">
+                              {entry.oldValue ? (
+                                <>
+                                  <span className="line-through text-slate-400">
+                                    {entry.oldValue}
+                                  </span>{" "}
+                                  → {entry.newValue}
+                                </>
+                              ) : (
+                                entry.newValue
+                              )}
+                            </p>
+                          )
+                        )}
+
+                        {(entry.clientName || entry.clientCountry) && (
+                          <div className="flex flex-wrap gap-3 text-sm text-slate-600">
+                            {entry.clientName && (
+                              <span className="inline-flex items-center gap-1 px-2 py-1 bg-blue-50 text-blue-700 rounded-full">
+                                👤 {entry.clientName}
+                              </span>
+                            )}
+                            {entry.clientCountry && (
+                              <span className="inline-flex items-center gap-1 px-2 py-1 bg-purple-50 text-purple-700 rounded-full">
+                                🌍 {entry.clientCountry}
+                              </span>
+                            )}
+                          </div>
+                        )}
+
+                        {entry.notes && (
+                          <p className="text-sm text-slate-600 bg-white p-3 rounded-lg border border-slate-200">
+                            {entry.notes}
+                          </p>
+                        )}
+
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-xs text-slate-500">
+                          <div>
+                            <span className="font-medium">Due (UTC):</span>{" "}
+                            {getTimeWithTimezone(entry.dueUtc, "UTC")}
+                          </div>
+                          {entry.completedAt && (
+                            <div>
+                              <span className="font-medium">Completed:</span>{" "}
+                              {formatForDisplay(
+                                entry.completedAt,
+                                currentTime.userTimezone
+                              )}
+                            </div>
+                          )}
+                          {entry.action === "completed" &&
+                            entry.trackedMs > 0 && (
+                              <div>
+                                <span className="font-medium">
+                                  Time tracked:
+                                </span>{" "}
+                                {formatDuration(entry.trackedMs)}
+                              </div>
+                            )}
+                        </div>
+                      </div>
+                    </div>
+                    {entry.action === "deleted" && (
+                      <button
+                        onClick={() => onRestore(entry)}
+                        disabled={!isRestorable}
+                        title={
+                          isRestorable
+                            ? "Recreate this task from the log"
+                            : "This task already exists"
+                        }
+                        className="flex-shrink-0 px-3 py-2 text-sm bg-emerald-50 text-emerald-700 rounded-lg hover:bg-emerald-100 transition-all duration-200 border border-emerald-200 font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        ♻️ Restore
+                      </button>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        <div className="px-6 py-4 border-t border-slate-200 bg-slate-50 rounded-b-3xl">
+          <div className="flex justify-between items-center text-sm text-slate-600">
+            <span>
+              Showing {filteredHistory.length} of {history.length} entries
+            </span>
+            <div className="flex gap-4">
+              <span>
+                UTC:{" "}
+                <strong>{getTimeWithTimezone(currentTime.utc, "UTC")}</strong>
+              </span>
+              <span>
+                Your Time: <strong>{currentTime.userLocalTime}</strong>
+              </span>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const BillingPanel = ({
+  isOpen,
+  onClose,
+  tasks,
+  clientRates,
+  onClientRatesChange,
+  defaultCurrency,
+  onDefaultCurrencyChange,
+}) => {
+  const [fromDate, setFromDate] = useState(() => {
+    const now = new Date();
+    return utcIsoToLocalInputValue(
+      new Date(now.getFullYear(), now.getMonth(), 1).toISOString()
+    ).split("T")[0];
+  });
+  const [toDate, setToDate] = useState(
+    () => utcIsoToLocalInputValue(nowUtcIso()).split("T")[0]
+  );
+
+  const clientNames = useMemo(
+    () =>
+      [
+        ...new Set(
+          tasks
+            .filter((task) => !task.deletedAtUtc && task.clientName)
+            .map((task) => task.clientName)
+        ),
+      ].sort((a, b) => a.localeCompare(b)),
+    [tasks]
+  );
+
+  const report = useMemo(() => {
+    // Date inputs are calendar days in the user's own timezone
+    const from = new Date(`${fromDate}T00:00:00`);
+    const to = new Date(`${toDate}T23:59:59.999`);
+    return buildBillingReport(tasks, from, to, clientRates, defaultCurrency);
+  }, [tasks, fromDate, toDate, clientRates, defaultCurrency]);
+
+  if (!isOpen) return null;
+
+  const periodLabel = `${fromDate} – ${toDate}`;
+  const filePrefix = `chronotask-invoice-${fromDate}-to-${toDate}`;
+
+  const updateRate = (clientName, changes) => {
+    onClientRatesChange({
+      ...clientRates,
+      [clientName]: {
+        ...getClientRate(clientRates, clientName, defaultCurrency),
+        ...changes,
+      },
+    });
+  };
+
+  const exportCsv = () => {
+    downloadFile(
+      buildBillingCsv(report),
+      `${filePrefix}.csv`,
+      "text/csv;charset=utf-8"
+    );
+  };
+
+  const openInvoice = () => {
+    const html = buildInvoiceHtml(report, periodLabel);
+    const url = URL.createObjectURL(new Blob([html], { type: "text/html" }));
+    const invoiceWindow = window.open(url, "_blank");
+
+    // Popup blocked: hand the page over as a file instead
+    if (!invoiceWindow) {
+      downloadFile(html, `${filePrefix}.html`, "text/html;charset=utf-8");
+    }
+    setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4 safe-area-inset">
+      <div className="bg-white rounded-3xl shadow-2xl w-full max-w-4xl max-h-[80vh] flex flex-col">
+        <div className="flex items-center justify-between p-6 border-b border-slate-200">
+          <div>
+            <h2 className="text-2xl font-bold text-slate-900">
+              Billable Hours
+            </h2>
+            <p className="mt-1 text-sm text-slate-600">
+              Finished, billable time entries on billable tasks, by client
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={exportCsv}
+              disabled={report.clients.length === 0}
+              className="px-4 py-2 bg-emerald-50 text-emerald-700 rounded-xl border border-emerald-200 hover:bg-emerald-100 transition-all duration-200 font-medium disabled:opacity-50"
+            >
+              CSV
+            </button>
+            <button
+              onClick={openInvoice}
+              disabled={report.clients.length === 0}
+              className="px-4 py-2 bg-blue-500 text-white rounded-xl hover:bg-blue-600 transition-all duration-200 font-medium disabled:opacity-50"
+            >
+              Invoice
+            </button>
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-slate-600 hover:bg-slate-50 rounded-xl transition-all duration-200 font-medium"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+
+        <div className="px-6 py-4 border-b border-slate-200 bg-slate-50 flex flex-wrap items-center gap-3 text-sm text-slate-700">
+          <label className="flex items-center gap-2">
+            From
+            <input
+              type="date"
+              value={fromDate}
+              max={toDate}
+              onChange={(e) => e.target.value && setFromDate(e.target.value)}
+              className="px-3 py-2 rounded-lg border border-slate-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white"
+            />
+          </label>
+          <label className="flex items-center gap-2">
+            To
+            <input
+              type="date"
+              value={toDate}
+              min={fromDate}
+              onChange={(e) => e.target.value && setToDate(e.target.value)}
+              className="px-3 py-2 rounded-lg border border-slate-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white"
+            />
+          </label>
+          <label className="flex items-center gap-2 ml-auto">
+            Default currency
+            <select
+              value={defaultCurrency}
+              onChange={(e) => onDefaultCurrencyChange(e.target.value)}
+              className="px-3 py-2 rounded-lg border border-slate-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white"
+            >
+              {CURRENCIES.map((currency) => (
+                <option key={currency} value={currency}>
+                  {currency}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          <div>
+            <h3 className="font-semibold text-slate-900 mb-3">Hourly Rates</h3>
+            {clientNames.length === 0 ? (
+              <p className="text-sm text-slate-500">
+                Add a client to a task to set its rate
+              </p>
+            ) : (
+              <ul className="space-y-2">
+                {clientNames.map((clientName) => {
+                  const { rate, currency } = getClientRate(
+                    clientRates,
+                    clientName,
+                    defaultCurrency
+                  );
+
+                  return (
+                    <li
+                      key={clientName}
+                      className="flex items-center gap-3 p-3 bg-slate-50 rounded-xl border border-slate-200 text-sm"
+                    >
+                      <span className="flex-1 font-medium text-slate-900 truncate">
+                        👤 {clientName}
+                      </span>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={rate}
+                        onChange={(e) =>
+                          updateRate(clientName, {
+                            rate: Math.max(0, Number(e.target.value) || 0),
+                          })
+                        }
+                        className="w-28 px-3 py-2 rounded-lg border border-slate-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white text-right"
+                      />
+                      <select
+                        value={currency}
+                        onChange={(e) =>
+                          updateRate(clientName, { currency: e.target.value })
+                        }
+                        className="px-3 py-2 rounded-lg border border-slate-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white"
+                      >
+                        {CURRENCIES.map((code) => (
+                          <option key={code} value={code}>
+                            {code}
+                          </option>
+                        ))}
+                      </select>
+                      <span className="text-slate-500">/ hour</span>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+
+          <div>
+            <h3 className="font-semibold text-slate-900 mb-3">Report</h3>
+            {report.clients.length === 0 ? (
+              <div className="text-center py-8 text-slate-500">
+                <div className="text-5xl mb-3">💵</div>
+                <p>No billable time in this period</p>
+              </div>
+            ) : (
+              <div className="space-y-4">
+                {report.clients.map((client) => (
+                  <div
+                    key={client.clientName}
+                    className="p-4 bg-slate-50 rounded-xl border border-slate-200"
+                  >
+                    <div className="flex items-center justify-between mb-2">
+                      <h4 className="font-semibold text-slate-900">
+                        👤 {client.clientName}
+                      </h4>
+                      <span className="text-sm text-slate-600">
+                        {formatMoney(client.rate, client.currency)} / hour
+                      </span>
+                    </div>
+                    <ul className="space-y-1 text-sm">
+                      {client.lines.map((line) => (
+                        <li
+                          key={line.taskId}
+                          className="flex justify-between gap-4 text-slate-700"
+                        >
+                          <span className="truncate">{line.taskTitle}</span>
+                          <span className="font-mono whitespace-nowrap">
+                            {formatHours(line.ms)} h ·{" "}
+                            {formatMoney(line.amount, client.currency)}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                    <div className="flex justify-between mt-2 pt-2 border-t border-slate-200 text-sm font-semibold text-slate-900">
+                      <span>Total</span>
+                      <span className="font-mono">
+                        {formatHours(client.ms)} h ·{" "}
+                        {formatMoney(client.amount, client.currency)}
+                      </span>
+                    </div>
+                  </div>
+                ))}
+
+                <div className="text-right text-lg text-slate-900">
+                  {Object.entries(report.totals).map(([currency, amount]) => (
+                    <div key={currency}>
+                      Total due:{" "}
+                      <strong>{formatMoney(amount, currency)}</strong>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {report.unassignedMs > 0 && (
+              <p className="mt-4 text-sm text-amber-700">
+                {formatHours(report.unassignedMs)} billable hours in this period
+                belong to tasks without a client and aren't included.
+              </p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const ClientForm = ({ client, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(client);
+  const [error, setError] = useState("");
+
+  const setField = (field) => (e) =>
+    setDraft((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const cleaned = Object.fromEntries(
+      Object.entries(draft).map(([key, value]) => [
+        key,
+        typeof value === "string" ? value.trim() : value,
+      ])
+    );
+
+    if (!cleaned.name) {
+      setError("Name is required");
+      return;
+    }
+    if (cleaned.timezone && !isValidTimeZone(cleaned.timezone)) {
+      setError(`"${cleaned.timezone}" is not a known IANA timezone`);
+      return;
+    }
+
+    const result = onSave(cleaned);
+    if (result) setError(result);
+  };
+
+  const inputClass =
+    "w-full px-3 py-2 text-sm border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200";
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="p-4 bg-white rounded-xl border border-blue-200 space-y-3"
+    >
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <label className="text-xs font-medium text-slate-600">
+          Name *
+          <input
+            value={draft.name}
+            onChange={setField("name")}
+            className={`mt-1 ${inputClass}`}
+            autoFocus
+          />
+        </label>
+        <label className="text-xs font-medium text-slate-600">
+          Country
+          <input
+            value={draft.country}
+            onChange={setField("country")}
+            className={`mt-1 ${inputClass}`}
+          />
+        </label>
+        <label className="text-xs font-medium text-slate-600">
+          Timezone (IANA)
+          <input
+            value={draft.timezone}
+            onChange={setField("timezone")}
+            list="timezone-options"
+            placeholder="e.g. America/New_York"
+            className={`mt-1 ${inputClass}`}
+          />
+        </label>
+        <label className="text-xs font-medium text-slate-600">
+          Contact person
+          <input
+            value={draft.contactName}
+            onChange={setField("contactName")}
+            className={`mt-1 ${inputClass}`}
+          />
+        </label>
+        <label className="text-xs font-medium text-slate-600">
+          Email
+          <input
+            type="email"
+            value={draft.email}
+            onChange={setField("email")}
+            className={`mt-1 ${inputClass}`}
+          />
+        </label>
+        <label className="text-xs font-medium text-slate-600">
+          Phone
+          <input
+            type="tel"
+            value={draft.phone}
+            onChange={setField("phone")}
+            className={`mt-1 ${inputClass}`}
+          />
+        </label>
+      </div>
+      <label className="block text-xs font-medium text-slate-600">
+        Notes
+        <textarea
+          value={draft.notes}
+          onChange={setField("notes")}
+          rows="2"
+          className={`mt-1 ${inputClass}`}
+        />
+      </label>
+
+      {error && <p className="text-sm text-rose-600">{error}</p>}
+
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          className="px-4 py-2 text-sm bg-emerald-500 text-white rounded-lg font-medium hover:bg-emerald-600 transition-all duration-200"
+        >
+          Save Client
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 text-sm bg-slate-500 text-white rounded-lg font-medium hover:bg-slate-600 transition-all duration-200"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const ClientDirectoryPanel = ({
+  isOpen,
+  onClose,
+  clients,
+  tasks,
+  onSave,
+  onMerge,
+  onDelete,
+}) => {
+  const [editingId, setEditingId] = useState(null);
+  const [newClient, setNewClient] = useState(null);
+  const [mergeSourceId, setMergeSourceId] = useState(null);
+
+  const taskCounts = useMemo(() => {
+    const counts = {};
+    tasks.forEach((task) => {
+      if (task.deletedAtUtc || !task.clientId) return;
+      counts[task.clientId] = (counts[task.clientId] || 0) + 1;
+    });
+    return counts;
+  }, [tasks]);
+
+  if (!isOpen) return null;
+
+  const sortedClients = clients
+    .slice()
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const saveAndClose = (client) => {
+    const error = onSave(client);
+    if (!error) {
+      setEditingId(null);
+      setNewClient(null);
+    }
+    return error;
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4 safe-area-inset">
+      <div className="bg-white rounded-3xl shadow-2xl w-full max-w-4xl max-h-[80vh] flex flex-col">
+        <div className="flex items-center justify-between p-6 border-b border-slate-200">
+          <div>
+            <h2 className="text-2xl font-bold text-slate-900">
+              Client Directory
+            </h2>
+            <p className="mt-1 text-sm text-slate-600">
+              Renaming a client updates all of its tasks
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => {
+                setEditingId(null);
+                setNewClient(createClient());
+              }}
+              className="px-4 py-2 bg-blue-500 text-white rounded-xl hover:bg-blue-600 transition-all duration-200 font-medium"
+            >
+              Add Client
+            </button>
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-slate-600 hover:bg-slate-50 rounded-xl transition-all duration-200 font-medium"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-3">
+          {newClient && (
+            <ClientForm
+              client={newClient}
+              onSave={saveAndClose}
+              onCancel={() => setNewClient(null)}
+            />
+          )}
+
+          {sortedClients.length === 0 && !newClient ? (
+            <div className="text-center py-12 text-slate-500">
+              <div className="text-6xl mb-4">👥</div>
+              <h3 className="text-xl font-semibold mb-2">No clients yet</h3>
+              <p>Clients typed on tasks are added here automatically</p>
+            </div>
+          ) : (
+            <ul className="space-y-3">
+              {sortedClients.map((client) =>
+                editingId === client.id ? (
+                  <li key={client.id}>
+                    <ClientForm
+                      client={client}
+                      onSave={saveAndClose}
+                      onCancel={() => setEditingId(null)}
+                    />
+                  </li>
+                ) : (
+                  <li
+                    key={client.id}
+                    className="p-4 bg-slate-50 rounded-xl border border-slate-200"
+                  >
+                    <div className="flex items-start gap-4">
+                      <div className="flex-1 min-w-0">
+                        <h4 className="font-semibold text-slate-900 truncate">
+                          👤 {client.name}
+                        </h4>
+                        <div className="flex flex-wrap gap-2 mt-1 text-xs text-slate-600">
+                          {client.country && <span>🌍 {client.country}</span>}
+                          {client.timezone && <span>🕒 {client.timezone}</span>}
+                          {client.contactName && (
+                            <span>🙋 {client.contactName}</span>
+                          )}
+                          {client.email && (
+                            <a
+                              href={`mailto:${client.email}`}
+                              className="text-blue-600 hover:underline"
+                            >
+                              ✉️ {client.email}
+                            </a>
+                          )}
+                          {client.phone && <span>📞 {client.phone}</span>}
+                          <span>
+                            📋 {taskCounts[client.id] || 0}{" "}
+                            {taskCounts[client.id] === 1 ? "task" : "tasks"}
+                          </span>
+                        </div>
+                        {client.notes && (
+                          <p className="mt-2 text-sm text-slate-600">
+                            {client.notes}
+                          </p>
+                        )}
+                      </div>
+                      <div className="flex gap-2 flex-shrink-0">
+                        <button
+                          onClick={() => {
+                            setNewClient(null);
+                            setEditingId(client.id);
+                          }}
+                          className="px-3 py-2 text-sm bg-white text-slate-700 rounded-lg border border-slate-200 hover:bg-slate-100 transition-all duration-200 font-medium"
+                        >
+                          Edit
+                        </button>
+                        {clients.length > 1 && (
+                          <button
+                            onClick={() =>
+                              setMergeSourceId(
+                                mergeSourceId === client.id ? null : client.id
+                              )
+                            }
+                            className="px-3 py-2 text-sm bg-white text-slate-700 rounded-lg border border-slate-200 hover:bg-slate-100 transition-all duration-200 font-medium"
+                          >
+                            Merge
+                          </button>
+                        )}
+                        {!taskCounts[client.id] && (
+                          <button
+                            onClick={() => onDelete(client.id)}
+                            className="px-3 py-2 text-sm bg-rose-50 text-rose-700 rounded-lg border border-rose-200 hover:bg-rose-100 transition-all duration-200 font-medium"
+                          >
+                            Delete
+                          </button>
+                        )}
+                      </div>
+                    </div>
+
+                    {mergeSourceId === client.id && (
+                      <div className="mt-3 p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800 flex flex-wrap items-center gap-2">
+                        <span>Merge "{client.name}" into</span>
+                        <select
+                          defaultValue=""
+                          onChange={(e) => {
+                            if (!e.target.value) return;
+                            onMerge(client.id, e.target.value);
+                            setMergeSourceId(null);
+                          }}
+                          className="px-3 py-1 rounded-lg border border-blue-300 bg-white"
+                        >
+                          <option value="">Choose a client...</option>
+                          {sortedClients
+                            .filter((other) => other.id !== client.id)
+                            .map((other) => (
+                              <option key={other.id} value={other.id}>
+                                {other.name}
+                              </option>
+                            ))}
+                        </select>
+                        <span className="text-xs opacity-75">
+                          Its tasks move over and this entry is removed
+                        </span>
+                      </div>
+                    )}
+                  </li>
+                )
+              )}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// In-app copy of the missed reminders summary, kept until dismissed
+const MissedRemindersBanner = ({ groups, onDismiss }) => {
+  if (groups.length === 0) return null;
+
+  const { title } = describeMissedReminders(groups);
+
+  return (
+    <div className="mb-6 p-4 bg-amber-50 border border-amber-200 rounded-2xl shadow-sm">
+      <div className="flex items-start justify-between gap-4">
+        <div className="min-w-0">
+          <h3 className="font-semibold text-amber-900">{title}</h3>
+          <p className="text-sm text-amber-800">
+            These came due while the app was closed or your device was asleep
+          </p>
+          <ul className="mt-2 space-y-1 text-sm text-amber-900">
+            {groups.map((group) => (
+              <li key={group.taskId} className="truncate">
+                ⏰ <span className="font-medium">{group.title}</span>
+                {group.count > 1 && ` · ${group.count} reminders`}
+                {" · due "}
+                {getTimeWithTimezone(group.dueUtc, "UTC")}
+              </li>
+            ))}
+          </ul>
+        </div>
+        <button
+          onClick={onDismiss}
+          className="px-3 py-1 text-amber-800 hover:bg-amber-100 rounded-lg text-sm font-medium transition-all duration-200"
+        >
+          Dismiss
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const ReminderSettingsPanel = ({
+  isOpen,
+  onClose,
+  reminders,
+  backgroundStatus,
+  onChange,
+}) => {
+  if (!isOpen) return null;
+
+  const background = BACKGROUND_REMINDER_STATES[backgroundStatus.state];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4 safe-area-inset">
+      <div className="bg-white rounded-3xl shadow-2xl w-full max-w-2xl max-h-[80vh] flex flex-col">
+        <div className="flex items-center justify-between p-6 border-b border-slate-200">
+          <div>
+            <h2 className="text-2xl font-bold text-slate-900">Reminders</h2>
+            <p className="mt-1 text-sm text-slate-600">
+              Default schedule for tasks without their own reminders
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-slate-600 hover:bg-slate-50 rounded-xl transition-all duration-200 font-medium"
+          >
+            Close
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-4">
+          <div
+            className={`p-3 bg-slate-50 border border-slate-200 rounded-xl text-sm font-medium ${background.color}`}
+          >
+            {background.icon} {background.label}
+            {backgroundStatus.detail && (
+              <span className="block mt-1 text-xs font-normal text-slate-500">
+                {backgroundStatus.detail}
+              </span>
+            )}
+          </div>
+          <ReminderEditor value={reminders} onChange={onChange} />
+          <div className="text-xs text-slate-500 space-y-1">
+            {Object.values(PRIORITY_LEVELS)
+              .filter((level) => level.extraReminders.length > 0)
+              .map((level) => (
+                <p key={level.label}>
+                  {level.label} tasks also get reminders{" "}
+                  {describeReminders(level.extraReminders)}.
+                </p>
+              ))}
+            <p>Times of day use the task's timezone.</p>
+          </div>
+          <button
+            onClick={() => onChange(DEFAULT_SETTINGS.defaultReminders)}
+            className="px-4 py-2 bg-slate-100 text-slate-700 rounded-xl hover:bg-slate-200 transition-all duration-200 text-sm font-medium"
+          >
+            Restore defaults
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const TrashPanel = ({
+  isOpen,
+  onClose,
+  trashedTasks,
+  retentionDays,
+  onRetentionChange,
+  onRestore,
+  onDeletePermanently,
+  onEmptyTrash,
+}) => {
+  const currentTime = useLiveTime();
+
+  if (!isOpen) return null;
+
+  const getDaysUntilPurge = (task) =>
+    Math.max(
+      0,
+      Math.ceil(
+        (new Date(task.deletedAtUtc).getTime() +
+          retentionDays * DAY_MS -
+          Date.now()) /
+          DAY_MS
+      )
+    );
+
+  const sortedTasks = trashedTasks
+    .slice()
+    .sort(
+      (a, b) =>
+        new Date(b.deletedAtUtc).getTime() - new Date(a.deletedAtUtc).getTime()
+    );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4 safe-area-inset">
+      <div className="bg-white rounded-3xl shadow-2xl w-full max-w-4xl max-h-[80vh] flex flex-col">
+        <div className="flex items-center justify-between p-6 border-b border-slate-200">
+          <div>
+            <h2 className="text-2xl font-bold text-slate-900">Trash</h2>
+            <p className="mt-1 text-sm text-slate-600">
+              Deleted tasks are kept for {retentionDays}{" "}
+              {retentionDays === 1 ? "day" : "days"}, then removed permanently
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={onEmptyTrash}
+              disabled={trashedTasks.length === 0}
+              className="px-4 py-2 bg-rose-500 text-white rounded-xl hover:bg-rose-600 transition-all duration-200 font-medium disabled:opacity-50"
+            >
+              Empty Trash
+            </button>
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-slate-600 hover:bg-slate-50 rounded-xl transition-all duration-200 font-medium"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+
+        <div className="px-6 py-4 border-b border-slate-200 bg-slate-50">
+          <label className="flex items-center gap-3 text-sm text-slate-700">
+            <span className="font-medium">Keep deleted tasks for</span>
+            <select
+              value={retentionDays}
+              onChange={(e) => onRetentionChange(Number(e.target.value))}
+              className="px-3 py-2 rounded-lg border border-slate-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white"
+            >
+              {TRASH_RETENTION_OPTIONS.map((days) => (
+                <option key={days} value={days}>
+                  {days} {days === 1 ? "day" : "days"}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6">
+          {sortedTasks.length === 0 ? (
+            <div className="text-center py-12 text-slate-500">
+              <div className="text-6xl mb-4">🗑️</div>
+              <h3 className="text-xl font-semibold mb-2">Trash is empty</h3>
+              <p>Deleted tasks will wait here before they are removed</p>
+            </div>
+          ) : (
+            <ul className="space-y-3">
+              {sortedTasks.map((task) => {
+                const daysLeft = getDaysUntilPurge(task);
+
+                return (
+                  <li
+                    key={task.id}
+                    className="flex items-start gap-4 p-4 bg-slate-50 rounded-xl border border-slate-200"
+                  >
+                    <div className="flex-1 min-w-0">
+                      <h4 className="font-semibold text-slate-900 truncate">
+                        {task.title}
+                      </h4>
+                      {task.clientName && (
+                        <span className="inline-flex items-center gap-1 mt-1 px-2 py-1 bg-blue-50 text-blue-700 rounded-full text-xs font-medium">
+                          👤 {task.clientName}
+                        </span>
+                      )}
+                      <div className="mt-2 text-xs text-slate-500">
+                        Deleted{" "}
+                        {formatForDisplay(
+                          task.deletedAtUtc,
+                          currentTime.userTimezone
+                        )}{" "}
+                        •{" "}
+                        <span className={daysLeft <= 1 ? "text-rose-600" : ""}>
+                          {daysLeft === 0
+                            ? "removed soon"
+                            : `removed in ${daysLeft} ${
+                                daysLeft === 1 ? "day" : "days"
+                              }`}
+                        </span>
+                      </div>
+                    </div>
+                    <div className="flex gap-2 flex-shrink-0">
+                      <button
+                        onClick={() => onRestore(task.id)}
+                        className="px-3 py-2 text-sm bg-emerald-50 text-emerald-700 rounded-lg hover:bg-emerald-100 transition-all duration-200 border border-emerald-200 font-medium"
+                      >
+                        ♻️ Restore
+                      </button>
+                      <button
+                        onClick={() => onDeletePermanently(task.id)}
+                        className="px-3 py-2 text-sm bg-rose-50 text-rose-700 rounded-lg hover:bg-rose-100 transition-all duration-200 border border-rose-200 font-medium"
+                      >
+                        Delete Forever
+                      </button>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+
+        <div className="px-6 py-4 border-t border-slate-200 bg-slate-50 rounded-b-3xl text-sm text-slate-600">
+          {trashedTasks.length} {trashedTasks.length === 1 ? "task" : "tasks"}{" "}
+          in Trash
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const RecurrenceEditor = ({
+  value,
+  onChange,
+  referenceIso,
+  timeZone,
+  disabled,
+}) => {
+  const rule = value;
+  const update = (changes) => onChange({ ...rule, ...changes });
+
+  const toggleWeekday = (day) => {
+    const weekdays = rule.weekdays.includes(day)
+      ? rule.weekdays.filter((d) => d !== day)
+      : [...rule.weekdays, day];
+    // A weekly rule needs at least one day
+    if (weekdays.length > 0) update({ weekdays });
+  };
+
+  const intervalUnit = {
+    daily: "day(s)",
+    weekly: "week(s)",
+    monthly: "month(s)",
+    afterCompletion: "day(s) after completion",
+  }[rule?.freq];
+
+  const inputClass =
+    "px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-white/50";
+
+  return (
+    <div className="space-y-3">
+      <select
+        value={rule?.freq || ""}
+        onChange={(e) =>
+          onChange(createRecurrence(e.target.value, referenceIso, timeZone))
+        }
+        className={`w-full ${inputClass}`}
+        disabled={disabled}
+      >
+        <option value="">Does not repeat</option>
+        {Object.entries(RECURRENCE_FREQUENCIES).map(([freq, label]) => (
+          <option key={freq} value={freq}>
+            {label}
+          </option>
+        ))}
+      </select>
+
+      {rule && (
+        <div className="flex items-center gap-2 text-sm text-slate-700">
+          <span>Every</span>
+          <input
+            type="number"
+            min="1"
+            max="365"
+            value={rule.interval}
+            onChange={(e) =>
+              update({ interval: Math.max(1, Number(e.target.value) || 1) })
+            }
+            className={`w-20 ${inputClass}`}
+            disabled={disabled}
+          />
+          <span>{intervalUnit}</span>
+        </div>
+      )}
+
+      {rule?.freq === "weekly" && (
+        <div className="flex flex-wrap gap-1">
+          {WEEKDAY_NAMES.map((name, day) => (
+            <button
+              key={name}
+              type="button"
+              onClick={() => toggleWeekday(day)}
+              disabled={disabled}
+              className={`w-10 py-1 rounded-lg text-xs font-medium border transition-all duration-200 ${
+                rule.weekdays.includes(day)
+                  ? "bg-blue-500 text-white border-blue-500"
+                  : "bg-white text-slate-600 border-slate-300 hover:border-blue-400"
+              }`}
+            >
+              {name.slice(0, 3)}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {rule?.freq === "monthly" && (
+        <div className="flex flex-wrap items-center gap-2 text-sm text-slate-700">
+          <select
+            value={rule.monthMode}
+            onChange={(e) => update({ monthMode: e.target.value })}
+            className={inputClass}
+            disabled={disabled}
+          >
+            <option value="day">On day</option>
+            <option value="lastWeekday">On the last</option>
+          </select>
+          {rule.monthMode === "day" ? (
+            <input
+              type="number"
+              min="1"
+              max="31"
+              value={rule.monthDay}
+              onChange={(e) =>
+                update({
+                  monthDay: Math.min(
+                    31,
+                    Math.max(1, Number(e.target.value) || 1)
+                  ),
+                })
+              }
+              className={`w-20 ${inputClass}`}
+              disabled={disabled}
+            />
+          ) : (
+            <select
+              value={rule.monthWeekday}
+              onChange={(e) => update({ monthWeekday: Number(e.target.value) })}
+              className={inputClass}
+              disabled={disabled}
+            >
+              {WEEKDAY_NAMES.map((name, day) => (
+                <option key={name} value={day}>
+                  {name}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+      )}
+
+      {rule && (
+        <p className="text-xs text-slate-500">
+          🔁 {describeRecurrence(rule)} (dates in {getRecurrenceTimeZone(rule)})
+        </p>
+      )}
+    </div>
+  );
+};
+
+// Edits a list of reminders: "N minutes/hours/days before" or
+// "HH:mm, N days before"
+const ReminderEditor = ({ value, onChange, disabled }) => {
+  const [kind, setKind] = useState("relative");
+  const [amount, setAmount] = useState(30);
+  const [unit, setUnit] = useState("minutes");
+  const [time, setTime] = useState("09:00");
+  const [daysBefore, setDaysBefore] = useState(1);
+
+  const addReminder = () => {
+    const reminder =
+      kind === "relative"
+        ? { secondsBefore: Math.max(0, amount) * REMINDER_UNITS[unit] }
+        : { daysBefore, time };
+    onChange(normalizeReminders([...value, reminder]));
   };
 
-  const timerConfig = getTimerConfig();
+  const inputClass =
+    "px-2 py-1.5 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white";
 
-  const getTimerText = () => {
-    if (timeLeft.isOverdue) {
-      const overdueMinutes = Math.abs(timeLeft.totalMinutes);
-      if (overdueMinutes < 60) return `${overdueMinutes}m overdue`;
-      return `${Math.floor(overdueMinutes / 60)}h ${
-        overdueMinutes % 60
-      }m overdue`;
-    }
+  return (
+    <div className="space-y-2">
+      {value.length === 0 ? (
+        <p className="text-sm text-slate-500">No reminders</p>
+      ) : (
+        <ul className="flex flex-wrap gap-2">
+          {value.map((reminder) => (
+            <li
+              key={getReminderKey(reminder)}
+              className="inline-flex items-center gap-1 px-2 py-1 bg-amber-50 text-amber-800 border border-amber-200 rounded-full text-xs font-medium"
+            >
+              🔔 {describeReminder(reminder)}
+              <button
+                type="button"
+                onClick={() =>
+                  onChange(
+                    value.filter(
+                      (r) => getReminderKey(r) !== getReminderKey(reminder)
+                    )
+                  )
+                }
+                className="ml-1 text-amber-600 hover:text-rose-600"
+                title="Remove reminder"
+                disabled={disabled}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
 
-    if (timeLeft.days > 0) {
-      return `${timeLeft.days}d ${timeLeft.hours}h`;
-    }
+      <div className="flex flex-wrap items-center gap-2 text-sm text-slate-700">
+        <select
+          value={kind}
+          onChange={(e) => setKind(e.target.value)}
+          className={inputClass}
+          disabled={disabled}
+        >
+          <option value="relative">Before due</option>
+          <option value="absolute">At a time</option>
+        </select>
+        {kind === "relative" ? (
+          <>
+            <input
+              type="number"
+              min="0"
+              value={amount}
+              onChange={(e) => setAmount(Number(e.target.value) || 0)}
+              className={`w-20 ${inputClass}`}
+              disabled={disabled}
+            />
+            <select
+              value={unit}
+              onChange={(e) => setUnit(e.target.value)}
+              className={inputClass}
+              disabled={disabled}
+            >
+              {Object.keys(REMINDER_UNITS).map((name) => (
+                <option key={name} value={name}>
+                  {name} before
+                </option>
+              ))}
+            </select>
+          </>
+        ) : (
+          <>
+            <input
+              type="time"
+              value={time}
+              onChange={(e) => setTime(e.target.value)}
+              className={inputClass}
+              disabled={disabled}
+            />
+            <select
+              value={daysBefore}
+              onChange={(e) => setDaysBefore(Number(e.target.value))}
+              className={inputClass}
+              disabled={disabled}
+            >
+              <option value={0}>on the due day</option>
+              <option value={1}>the day before</option>
+              <option value={2}>2 days before</option>
+              <option value={7}>a week before</option>
+            </select>
+          </>
+        )}
+        <button
+          type="button"
+          onClick={addReminder}
+          disabled={disabled || (kind === "absolute" && !time)}
+          className="px-3 py-1.5 bg-amber-500 text-white rounded-lg text-sm font-medium hover:bg-amber-600 disabled:opacity-50 transition-all duration-200"
+        >
+          Add
+        </button>
+      </div>
+    </div>
+  );
+};
 
-    if (timeLeft.hours > 0) {
-      return `${timeLeft.hours}h ${timeLeft.minutes}m`;
-    }
+const SubtaskList = ({ subtasks, onChange }) => {
+  const [newTitle, setNewTitle] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  const [editingTitle, setEditingTitle] = useState("");
 
-    if (timeLeft.minutes > 0) {
-      return `${timeLeft.minutes}m ${timeLeft.seconds}s`;
-    }
+  const addSubtask = (e) => {
+    e.preventDefault();
+    const trimmed = newTitle.trim();
+    if (!trimmed) return;
 
-    return `${timeLeft.seconds}s`;
+    onChange([...subtasks, { id: genId(), title: trimmed, done: false }]);
+    setNewTitle("");
   };
 
-  if (compact) {
-    return (
-      <div
-        className={`inline-flex items-center gap-2 px-3 py-1.5 rounded-full border text-xs font-medium ${timerConfig.color} ${timerConfig.bg} ${timerConfig.border}`}
-      >
-        <div className="w-1.5 h-1.5 bg-current rounded-full animate-pulse"></div>
-        {getTimerText()}
-      </div>
+  const toggleSubtask = (id) => {
+    onChange(
+      subtasks.map((subtask) =>
+        subtask.id === id ? { ...subtask, done: !subtask.done } : subtask
+      )
     );
-  }
+  };
+
+  const startEditing = (subtask) => {
+    setEditingId(subtask.id);
+    setEditingTitle(subtask.title);
+  };
+
+  const saveEditing = () => {
+    const trimmed = editingTitle.trim();
+    if (trimmed) {
+      onChange(
+        subtasks.map((subtask) =>
+          subtask.id === editingId ? { ...subtask, title: trimmed } : subtask
+        )
+      );
+    }
+    setEditingId(null);
+  };
+
+  const moveSubtask = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= subtasks.length) return;
+
+    const reordered = subtasks.slice();
+    [reordered[index], reordered[target]] = [
+      reordered[target],
+      reordered[index],
+    ];
+    onChange(reordered);
+  };
+
+  const removeSubtask = (id) => {
+    onChange(subtasks.filter((subtask) => subtask.id !== id));
+  };
+
+  const doneCount = subtasks.filter((subtask) => subtask.done).length;
 
   return (
-    <div className="space-y-2">
-      <div
-        className={`flex items-center gap-3 px-4 py-3 rounded-xl border transition-all duration-300 ${timerConfig.bg} ${timerConfig.border}`}
-      >
-        <div className="flex items-center gap-3 flex-1">
-          <div className="w-2 h-2 bg-current rounded-full animate-pulse"></div>
-          <div className="flex-1">
-            <div className="flex items-center gap-2">
-              <span className={`text-sm font-semibold ${timerConfig.color}`}>
-                {getTimerText()}
-              </span>
-              <span className="text-xs text-slate-500">until</span>
-            </div>
-            <div className="text-sm text-slate-700 font-medium truncate">
-              "{taskTitle}"
-            </div>
-          </div>
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-semibold text-slate-900">Checklist</h4>
+        {subtasks.length > 0 && (
+          <span className="text-sm text-slate-600">
+            {doneCount}/{subtasks.length} done
+          </span>
+        )}
+      </div>
+
+      {subtasks.length > 0 && (
+        <div className="h-1.5 bg-slate-200 rounded-full mb-3 overflow-hidden">
+          <div
+            className="h-full bg-emerald-500 transition-all duration-300"
+            style={{ width: `${(doneCount / subtasks.length) * 100}%` }}
+          />
         </div>
-        <div
-          className={`px-2 py-1 rounded-full text-xs font-medium ${
-            timerConfig.color
-          } ${timerConfig.bg.replace("50", "100")}`}
+      )}
+
+      <ul className="space-y-2">
+        {subtasks.map((subtask, index) => (
+          <li
+            key={subtask.id}
+            className="flex items-center gap-2 p-2 bg-white rounded-lg border border-slate-200"
+          >
+            <input
+              type="checkbox"
+              checked={subtask.done}
+              onChange={() => toggleSubtask(subtask.id)}
+              className="rounded text-emerald-600 focus:ring-emerald-500 w-4 h-4"
+            />
+            {editingId === subtask.id ? (
+              <input
+                value={editingTitle}
+                onChange={(e) => setEditingTitle(e.target.value)}
+                onBlur={saveEditing}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") saveEditing();
+                  if (e.key === "Escape") setEditingId(null);
+                }}
+                className="flex-1 text-sm border-b border-blue-500 focus:outline-none bg-transparent"
+                autoFocus
+              />
+            ) : (
+              <button
+                onClick={() => startEditing(subtask)}
+                className={`flex-1 text-left text-sm ${
+                  subtask.done
+                    ? "line-through text-slate-400"
+                    : "text-slate-700"
+                }`}
+                title="Click to edit"
+              >
+                {subtask.title}
+              </button>
+            )}
+            <div className="flex gap-1 text-slate-400">
+              <button
+                onClick={() => moveSubtask(index, -1)}
+                disabled={index === 0}
+                className="px-1 hover:text-slate-700 disabled:opacity-30"
+                title="Move up"
+              >
+                ↑
+              </button>
+              <button
+                onClick={() => moveSubtask(index, 1)}
+                disabled={index === subtasks.length - 1}
+                className="px-1 hover:text-slate-700 disabled:opacity-30"
+                title="Move down"
+              >
+                ↓
+              </button>
+              <button
+                onClick={() => removeSubtask(subtask.id)}
+                className="px-1 hover:text-rose-600"
+                title="Remove"
+              >
+                ×
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <form onSubmit={addSubtask} className="flex gap-2 mt-3">
+        <input
+          value={newTitle}
+          onChange={(e) => setNewTitle(e.target.value)}
+          placeholder="Add a step..."
+          className="flex-1 px-3 py-2 text-sm border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+        />
+        <button
+          type="submit"
+          disabled={!newTitle.trim()}
+          className="px-3 py-2 text-sm bg-blue-500 text-white rounded-lg font-medium hover:bg-blue-600 transition-all duration-200 disabled:opacity-50"
         >
-          {timerConfig.label}
-        </div>
-      </div>
+          Add
+        </button>
+      </form>
     </div>
   );
 };
 
-const HistoryPanel = ({ isOpen, onClose, tasks }) => {
-  const [history, setHistory] = useState([]);
-  const currentTime = useLiveTime();
+const DependencyPicker = ({ task, tasksById, options, onChange }) => {
+  const [selectedId, setSelectedId] = useState("");
+  const [error, setError] = useState("");
+  const blockedBy = task.blockedBy || [];
 
-  useEffect(() => {
-    if (isOpen) {
-      try {
-        const stored = JSON.parse(
-          localStorage.getItem(HISTORY_STORAGE_KEY) || "[]"
-        );
-        // Only show completed tasks in history
-        const completedHistory = stored.filter(
-          (item) => item.action === "completed"
-        );
-        setHistory(completedHistory);
-      } catch (error) {
-        console.error("Failed to load history:", error);
-      }
-    }
-  }, [isOpen]);
+  const candidates = options.filter(
+    (option) => option.id !== task.id && !blockedBy.includes(option.id)
+  );
 
-  // Unified clear history function
-  const clearHistory = () => {
-    if (
-      window.confirm(
-        "Are you sure you want to clear ALL completed task history permanently? This action cannot be undone and will remove all your completed task records."
-      )
-    ) {
-      localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify([]));
-      setHistory([]);
-      // Show success message
-      if (window.showToast) {
-        window.showToast("All history cleared permanently", "success");
-      }
+  const addBlocker = (e) => {
+    e.preventDefault();
+    if (!selectedId) return;
+
+    const next = [...blockedBy, selectedId];
+    if (createsDependencyCycle(task.id, next, tasksById)) {
+      setError(
+        `"${
+          tasksById.get(selectedId)?.title
+        }" already depends on this task, so it can't block it`
+      );
+      return;
     }
+
+    setError("");
+    onChange(next);
+    setSelectedId("");
   };
 
-  const getCompletionStats = () => {
-    const today = new Date();
-    const lastWeek = new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000);
+  const removeBlocker = (id) => {
+    onChange(blockedBy.filter((blockerId) => blockerId !== id));
+  };
 
-    const completedThisWeek = history.filter(
-      (item) => new Date(item.completedAt) > lastWeek
-    ).length;
+  return (
+    <div>
+      <h4 className="font-semibold text-slate-900 mb-3">Blocked By</h4>
+
+      {blockedBy.length > 0 && (
+        <ul className="space-y-2 mb-3">
+          {blockedBy.map((id) => {
+            const blocker = tasksById.get(id);
+            const isOpen =
+              blocker && !blocker.completed && !blocker.deletedAtUtc;
+
+            return (
+              <li
+                key={id}
+                className="flex items-center gap-2 p-2 bg-white rounded-lg border border-slate-200 text-sm"
+              >
+                <span>{isOpen ? "⛔" : "✅"}</span>
+                <span
+                  className={`flex-1 break-words ${
+                    isOpen ? "text-slate-900" : "text-slate-400 line-through"
+                  }`}
+                >
+                  {blocker ? blocker.title : "(removed task)"}
+                </span>
+                <button
+                  onClick={() => removeBlocker(id)}
+                  className="px-1 text-slate-400 hover:text-rose-600"
+                  title="Remove dependency"
+                >
+                  ×
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
 
-    const completedToday = history.filter((item) => {
-      const completedDate = new Date(item.completedAt);
-      return completedDate.toDateString() === today.toDateString();
-    }).length;
+      <form onSubmit={addBlocker} className="flex gap-2">
+        <select
+          value={selectedId}
+          onChange={(e) => {
+            setSelectedId(e.target.value);
+            setError("");
+          }}
+          className="flex-1 min-w-0 px-3 py-2 text-sm border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+        >
+          <option value="">Waits on...</option>
+          {candidates.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.title}
+            </option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          disabled={!selectedId}
+          className="px-3 py-2 text-sm bg-blue-500 text-white rounded-lg font-medium hover:bg-blue-600 transition-all duration-200 disabled:opacity-50"
+        >
+          Add
+        </button>
+      </form>
 
-    return {
-      completedThisWeek,
-      completedToday,
-      totalCompleted: history.length,
-    };
+      {error && <p className="mt-2 text-sm text-rose-600">{error}</p>}
+    </div>
+  );
+};
+
+// datetime-local values are the user's own wall-clock time
+const localInputValueToIso = (value) => {
+  const date = new Date(value);
+  return value && !Number.isNaN(date.getTime()) ? date.toISOString() : "";
+};
+
+const TimeLog = ({ entries, onChange }) => {
+  const [editingId, setEditingId] = useState(null);
+  const [draftStart, setDraftStart] = useState("");
+  const [draftEnd, setDraftEnd] = useState("");
+  const [error, setError] = useState("");
+
+  const startEditing = (entry) => {
+    setEditingId(entry.id);
+    setDraftStart(utcIsoToLocalInputValue(entry.startUtc));
+    setDraftEnd(utcIsoToLocalInputValue(entry.endUtc));
+    setError("");
   };
 
-  const stats = getCompletionStats();
+  const startAdding = () => {
+    const end = new Date();
+    const start = new Date(end.getTime() - 30 * 60 * 1000);
+    setEditingId("new");
+    setDraftStart(utcIsoToLocalInputValue(start.toISOString()));
+    setDraftEnd(utcIsoToLocalInputValue(end.toISOString()));
+    setError("");
+  };
 
-  if (!isOpen) return null;
+  const saveDraft = (e) => {
+    e.preventDefault();
+    const startUtc = localInputValueToIso(draftStart);
+    const endUtc = localInputValueToIso(draftEnd);
 
-  return (
-    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4 safe-area-inset">
-      <div className="bg-white rounded-3xl shadow-2xl w-full max-w-6xl max-h-[80vh] flex flex-col">
-        <div className="flex items-center justify-between p-6 border-b border-slate-200">
-          <div>
-            <h2 className="text-2xl font-bold text-slate-900">
-              Completed Tasks History
-            </h2>
-            <div className="flex flex-wrap gap-4 mt-2 text-sm text-slate-600">
-              <span>
-                UTC:{" "}
-                <strong>{getTimeWithTimezone(currentTime.utc, "UTC")}</strong>
-              </span>
-              <span>
-                Your Time: <strong>{currentTime.userLocalTime}</strong>
-              </span>
-            </div>
-          </div>
-          <div className="flex gap-2">
-            <button
-              onClick={clearHistory}
-              className="px-4 py-2 bg-rose-500 text-white rounded-xl hover:bg-rose-600 transition-all duration-200 font-medium flex items-center gap-2"
-            >
-              <svg
-                className="w-4 h-4"
-                fill="none"
-                stroke="currentColor"
-                viewBox="0 0 24 24"
-              >
-                <path
-                  strokeLinecap="round"
-                  strokeLinejoin="round"
-                  strokeWidth={2}
-                  d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"
-                />
-              </svg>
-              Clear All History
-            </button>
-            <button
-              onClick={onClose}
-              className="px-4 py-2 text-slate-600 hover:bg-slate-50 rounded-xl transition-all duration-200 font-medium"
-            >
-              Close
-            </button>
-          </div>
-        </div>
+    if (!startUtc || !endUtc || new Date(endUtc) <= new Date(startUtc)) {
+      setError("End time must be after start time");
+      return;
+    }
 
-        {/* Stats Overview */}
-        <div className="bg-gradient-to-r from-blue-50 to-indigo-50 border-b border-slate-200">
-          <div className="p-6">
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-              <div className="text-center p-4 bg-white rounded-xl border border-slate-200">
-                <div className="text-2xl font-bold text-blue-600">
-                  {stats.totalCompleted}
-                </div>
-                <div className="text-sm text-slate-600">Total Completed</div>
-              </div>
-              <div className="text-center p-4 bg-white rounded-xl border border-slate-200">
-                <div className="text-2xl font-bold text-green-600">
-                  {stats.completedThisWeek}
-                </div>
-                <div className="text-sm text-slate-600">This Week</div>
-              </div>
-              <div className="text-center p-4 bg-white rounded-xl border border-slate-200">
-                <div className="text-2xl font-bold text-emerald-600">
-                  {stats.completedToday}
-                </div>
-                <div className="text-sm text-slate-600">Today</div>
-              </div>
-            </div>
-          </div>
-        </div>
+    onChange(
+      editingId === "new"
+        ? [...entries, { id: genId(), startUtc, endUtc, billable: true }]
+        : entries.map((entry) =>
+            entry.id === editingId ? { ...entry, startUtc, endUtc } : entry
+          )
+    );
+    setEditingId(null);
+  };
 
-        <div className="flex-1 overflow-y-auto p-6">
-          {history.length === 0 ? (
-            <div className="text-center py-12 text-slate-500">
-              <div className="text-6xl mb-4">📜</div>
-              <h3 className="text-xl font-semibold mb-2">
-                No completed tasks yet
-              </h3>
-              <p>Completed tasks will appear here automatically</p>
-            </div>
+  const removeEntry = (id) => {
+    onChange(entries.filter((entry) => entry.id !== id));
+  };
+
+  const toggleBillable = (id) => {
+    onChange(
+      entries.map((entry) =>
+        entry.id === id
+          ? { ...entry, billable: entry.billable === false }
+          : entry
+      )
+    );
+  };
+
+  const sortedEntries = entries
+    .slice()
+    .sort((a, b) => new Date(b.startUtc) - new Date(a.startUtc));
+
+  const editor = (
+    <form
+      onSubmit={saveDraft}
+      className="p-3 bg-white rounded-lg border border-blue-200 space-y-2"
+    >
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        <label className="text-xs text-slate-600">
+          Start
+          <input
+            type="datetime-local"
+            value={draftStart}
+            onChange={(e) => setDraftStart(e.target.value)}
+            className="mt-1 w-full px-2 py-1 text-sm border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </label>
+        <label className="text-xs text-slate-600">
+          End
+          <input
+            type="datetime-local"
+            value={draftEnd}
+            onChange={(e) => setDraftEnd(e.target.value)}
+            className="mt-1 w-full px-2 py-1 text-sm border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </label>
+      </div>
+      {error && <p className="text-xs text-rose-600">{error}</p>}
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          className="px-3 py-1 text-sm bg-emerald-500 text-white rounded-lg font-medium hover:bg-emerald-600 transition-all duration-200"
+        >
+          Save
+        </button>
+        <button
+          type="button"
+          onClick={() => setEditingId(null)}
+          className="px-3 py-1 text-sm bg-slate-500 text-white rounded-lg font-medium hover:bg-slate-600 transition-all duration-200"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-semibold text-slate-900">Time Log</h4>
+        <span className="text-sm text-slate-600">
+          Total: {formatDuration(getTrackedMs({ timeEntries: entries }))}
+        </span>
+      </div>
+
+      <ul className="space-y-2">
+        {sortedEntries.map((entry) =>
+          entry.id === editingId ? (
+            <li key={entry.id}>{editor}</li>
           ) : (
-            <div className="space-y-4">
-              {history.map((entry) => (
-                <div
-                  key={entry.id}
-                  className="flex items-start gap-4 p-5 bg-slate-50 rounded-xl border border-slate-200 hover:bg-white transition-all duration-200"
+            <li
+              key={entry.id}
+              className="flex items-center gap-2 p-2 bg-white rounded-lg border border-slate-200 text-sm"
+            >
+              <span className="flex-1 text-slate-700">
+                {new Date(entry.startUtc).toLocaleString()}
+                {" → "}
+                {entry.endUtc
+                  ? new Date(entry.endUtc).toLocaleTimeString()
+                  : "running"}
+              </span>
+              <span className="font-mono text-slate-900">
+                {formatDuration(getEntryMs(entry))}
+              </span>
+              <div className="flex gap-1 text-slate-400">
+                <button
+                  onClick={() => toggleBillable(entry.id)}
+                  className={`px-1 ${
+                    entry.billable === false ? "opacity-30" : ""
+                  }`}
+                  title={
+                    entry.billable === false
+                      ? "Not billable (click to bill)"
+                      : "Billable (click to exclude)"
+                  }
                 >
-                  <div className="flex-shrink-0 w-10 h-10 bg-green-100 rounded-xl flex items-center justify-center">
-                    <span className="text-lg">✅</span>
-                  </div>
-                  <div className="flex-1 min-w-0">
-                    <div className="flex flex-wrap items-center gap-2 mb-3">
-                      <span className="font-semibold text-green-600 bg-green-50 px-2 py-1 rounded-lg text-sm">
-                        Completed
-                      </span>
-                      <span className="text-sm text-slate-500">
-                        {formatForDisplay(
-                          entry.completedAt,
-                          currentTime.userTimezone
-                        )}
-                      </span>
-                    </div>
+                  💵
+                </button>
+                {entry.endUtc && (
+                  <button
+                    onClick={() => startEditing(entry)}
+                    className="px-1 hover:text-blue-600"
+                    title="Edit entry"
+                  >
+                    ✎
+                  </button>
+                )}
+                <button
+                  onClick={() => removeEntry(entry.id)}
+                  className="px-1 hover:text-rose-600"
+                  title="Remove entry"
+                >
+                  ×
+                </button>
+              </div>
+            </li>
+          )
+        )}
+      </ul>
 
-                    <div className="space-y-2">
-                      <h4 className="text-lg font-semibold text-slate-900">
-                        {entry.taskTitle}
-                      </h4>
+      {editingId === "new" ? (
+        <div className="mt-3">{editor}</div>
+      ) : (
+        <button
+          onClick={startAdding}
+          className="mt-3 px-3 py-2 text-sm text-blue-700 bg-blue-50 rounded-lg border border-blue-200 hover:bg-blue-100 transition-all duration-200"
+        >
+          + Add time manually
+        </button>
+      )}
+    </div>
+  );
+};
 
-                      {(entry.clientName || entry.clientCountry) && (
-                        <div className="flex flex-wrap gap-3 text-sm text-slate-600">
-                          {entry.clientName && (
-                            <span className="inline-flex items-center gap-1 px-2 py-1 bg-blue-50 text-blue-700 rounded-full">
-                              👤 {entry.clientName}
-                            </span>
-                          )}
-                          {entry.clientCountry && (
-                            <span className="inline-flex items-center gap-1 px-2 py-1 bg-purple-50 text-purple-700 rounded-full">
-                              🌍 {entry.clientCountry}
-                            </span>
-                          )}
-                        </div>
-                      )}
+// Free-text client input that suggests directory entries as you type
+const ClientPicker = ({
+  value,
+  onChange,
+  onSelect,
+  clients,
+  className,
+  disabled,
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const matches = useMemo(() => {
+    const q = value.trim().toLowerCase();
+    return clients
+      .filter(
+        (client) =>
+          client.name !== value && (!q || client.name.toLowerCase().includes(q))
+      )
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .slice(0, 6);
+  }, [value, clients]);
 
-                      {entry.notes && (
-                        <p className="text-sm text-slate-600 bg-white p-3 rounded-lg border border-slate-200">
-                          {entry.notes}
-                        </p>
-                      )}
+  const existing = findClientByName(clients, value);
 
-                      <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-xs text-slate-500">
-                        <div>
-                          <span className="font-medium">
-                            Original Due (UTC):
-                          </span>{" "}
-                          {getTimeWithTimezone(entry.dueUtc, "UTC")}
-                        </div>
-                        <div>
-                          <span className="font-medium">Completed:</span>{" "}
-                          {formatForDisplay(
-                            entry.completedAt,
-                            currentTime.userTimezone
-                          )}
-                        </div>
-                      </div>
-                    </div>
-                  </div>
-                </div>
-              ))}
-            </div>
-          )}
-        </div>
+  return (
+    <div className="relative">
+      <input
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        className={className}
+        placeholder="Client name"
+        disabled={disabled}
+      />
 
-        <div className="px-6 py-4 border-t border-slate-200 bg-slate-50 rounded-b-3xl">
-          <div className="flex justify-between items-center text-sm text-slate-600">
-            <span>Showing {history.length} completed tasks</span>
-            <div className="flex gap-4">
-              <span>
-                UTC:{" "}
-                <strong>{getTimeWithTimezone(currentTime.utc, "UTC")}</strong>
-              </span>
-              <span>
-                Your Time: <strong>{currentTime.userLocalTime}</strong>
-              </span>
-            </div>
-          </div>
-        </div>
+      {isOpen && matches.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full bg-white border border-slate-200 rounded-lg shadow-lg py-1">
+          {matches.map((client) => (
+            <li key={client.id}>
+              <button
+                type="button"
+                // mousedown so the pick lands before the input's blur
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  onSelect(client);
+                  setIsOpen(false);
+                }}
+                className="w-full text-left px-3 py-1.5 text-sm hover:bg-slate-50"
+              >
+                👤 {client.name}
+                {client.country && (
+                  <span className="text-slate-500"> · {client.country}</span>
+                )}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {existing && existing.name !== value.trim() && (
+        <p className="mt-1 text-xs text-blue-600">
+          Will be saved as "{existing.name}"
+        </p>
+      )}
+      {value.trim() && !existing && (
+        <p className="mt-1 text-xs text-slate-500">
+          New client, added to the directory on save
+        </p>
+      )}
+    </div>
+  );
+};
+
+const TagChip = ({ tag, onRemove, onClick, active = true }) => (
+  <span
+    onClick={onClick}
+    className={`inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium border ${
+      active ? getTagColor(tag) : "bg-white text-slate-500 border-slate-200"
+    } ${onClick ? "cursor-pointer" : ""}`}
+  >
+    #{tag}
+    {onRemove && (
+      <button
+        type="button"
+        onClick={() => onRemove(tag)}
+        className="hover:opacity-70"
+        title={`Remove #${tag}`}
+      >
+        ×
+      </button>
+    )}
+  </span>
+);
+
+const TagInput = ({ value, onChange, suggestions, disabled, className }) => {
+  const [draft, setDraft] = useState("");
+
+  const addTag = (tag) => {
+    const next = normalizeTags([...value, tag]);
+    if (next.length !== value.length) onChange(next);
+    setDraft("");
+  };
+
+  const removeTag = (tag) => {
+    onChange(value.filter((existing) => existing !== tag));
+  };
+
+  const matches = useMemo(() => {
+    const q = normalizeTag(draft).toLowerCase();
+    if (!q) return [];
+    const taken = new Set(value.map((tag) => tag.toLowerCase()));
+    return suggestions
+      .filter(
+        (tag) => !taken.has(tag.toLowerCase()) && tag.toLowerCase().includes(q)
+      )
+      .slice(0, 6);
+  }, [draft, suggestions, value]);
+
+  const handleKeyDown = (e) => {
+    if ((e.key === "Enter" || e.key === ",") && draft.trim()) {
+      e.preventDefault();
+      e.stopPropagation();
+      addTag(draft);
+    } else if (e.key === "Backspace" && !draft && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div
+        className={`flex flex-wrap items-center gap-2 ${className} ${
+          disabled ? "opacity-50" : ""
+        }`}
+      >
+        {value.map((tag) => (
+          <TagChip
+            key={tag}
+            tag={tag}
+            onRemove={disabled ? undefined : removeTag}
+          />
+        ))}
+        <input
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={() => draft.trim() && addTag(draft)}
+          placeholder={value.length === 0 ? "Add tags..." : ""}
+          className="flex-1 min-w-[6rem] bg-transparent focus:outline-none"
+          disabled={disabled}
+        />
+      </div>
+
+      {matches.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full bg-white border border-slate-200 rounded-lg shadow-lg py-1">
+          {matches.map((tag) => (
+            <li key={tag}>
+              <button
+                type="button"
+                // mousedown so the pick lands before the input's blur
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  addTag(tag);
+                }}
+                className="w-full text-left px-3 py-1.5 text-sm hover:bg-slate-50"
+              >
+                #{tag}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Snooze choices for an overdue task: move the due time, or keep it and
+// just get reminded again
+const SnoozeMenu = ({ onSnooze, timeZone }) => {
+  const [keepDue, setKeepDue] = useState(false);
+  const [customValue, setCustomValue] = useState("");
+
+  const snoozeCustom = () => {
+    if (!customValue) return;
+    const untilIso = datetimeLocalToUtcIso(customValue, timeZone);
+    if (new Date(untilIso) <= new Date()) return;
+    onSnooze(untilIso, { keepDue });
+    setCustomValue("");
+  };
+
+  return (
+    <div className="mt-2 p-3 bg-violet-50 border border-violet-200 rounded-xl space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-xs font-semibold text-violet-800">😴 Snooze</span>
+        {Object.entries(SNOOZE_PRESETS).map(([preset, label]) => (
+          <button
+            key={preset}
+            type="button"
+            onClick={() =>
+              onSnooze(getSnoozeUntil(preset, timeZone), { keepDue })
+            }
+            className="px-3 py-1 bg-white text-violet-700 border border-violet-200 rounded-lg text-xs font-medium hover:bg-violet-100 transition-all duration-200"
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="datetime-local"
+          value={customValue}
+          onChange={(e) => setCustomValue(e.target.value)}
+          className="px-2 py-1 border border-violet-200 rounded-lg text-xs bg-white"
+        />
+        <button
+          type="button"
+          onClick={snoozeCustom}
+          disabled={!customValue}
+          className="px-3 py-1 bg-violet-600 text-white rounded-lg text-xs font-medium hover:bg-violet-700 disabled:opacity-50 transition-all duration-200"
+        >
+          Snooze until
+        </button>
+        <label className="flex items-center gap-1 text-xs text-violet-800">
+          <input
+            type="checkbox"
+            checked={keepDue}
+            onChange={(e) => setKeepDue(e.target.checked)}
+            className="rounded text-violet-600 focus:ring-violet-500"
+          />
+          Keep due date, just remind me
+        </label>
       </div>
     </div>
   );
 };
 
-const TaskItem = ({ task, onToggle, onEdit, onDelete, onUpdate }) => {
+const TaskItem = ({
+  task,
+  onToggle,
+  onEdit,
+  onDelete,
+  onUpdate,
+  tagSuggestions,
+  projects,
+  projectName,
+  tasksById,
+  dependencyOptions,
+  clients,
+  clientTimeZone,
+  onStartTimer,
+  onStopTimer,
+  onTimeEntriesChange,
+  onSnooze,
+  defaultReminders,
+}) => {
   const [isEditing, setIsEditing] = useState(false);
   const [editTitle, setEditTitle] = useState(task.title);
   const [editNotes, setEditNotes] = useState(task.notes || "");
@@ -1191,14 +5554,29 @@ const TaskItem = ({ task, onToggle, onEdit, onDelete, onUpdate }) => {
   const [editClientCountry, setEditClientCountry] = useState(
     task.clientCountry || ""
   );
+  const [editRecurrence, setEditRecurrence] = useState(task.recurrence);
+  const [editPriority, setEditPriority] = useState(
+    task.priority ?? DEFAULT_PRIORITY
+  );
+  const [editTags, setEditTags] = useState(task.tags || []);
+  const [editProjectId, setEditProjectId] = useState(task.projectId);
+  const [editBillable, setEditBillable] = useState(!!task.billable);
+  const [editTimeZone, setEditTimeZone] = useState(task.timezone || "");
+  const isEditTimeZoneValid =
+    !editTimeZone.trim() || isValidTimeZone(editTimeZone.trim());
+  // Due dates are edited in the task's own zone when it has one
+  const dueEditTimeZone = clientTimeZone || getUserTimeZone();
+  const initialEditDue = utcIsoToLocalInputValue(task.dueUtc, dueEditTimeZone);
+  const [editDue, setEditDue] = useState(initialEditDue);
+  const [editReminders, setEditReminders] = useState(task.reminders);
+  const [editScope, setEditScope] = useState("occurrence");
   const [isExpanded, setIsExpanded] = useState(false);
   const currentTime = useLiveTime();
 
   const handleSave = () => {
     const trimmedTitle = editTitle.trim();
-    if (!trimmedTitle) return;
+    if (!trimmedTitle || !isEditTimeZoneValid) return;
 
-    const oldTitle = task.title;
     onUpdate(
       task.id,
       {
@@ -1206,9 +5584,21 @@ const TaskItem = ({ task, onToggle, onEdit, onDelete, onUpdate }) => {
         notes: editNotes.trim() || undefined,
         clientName: editClientName.trim() || undefined,
         clientCountry: editClientCountry.trim() || undefined,
+        recurrence: editRecurrence,
+        priority: editPriority,
+        tags: editTags,
+        projectId: editProjectId,
+        billable: editBillable,
+        timezone: editTimeZone.trim() || null,
+        reminders: editReminders,
+        // Untouched inputs would drop the seconds of the stored due time
+        ...(editDue !== initialEditDue && {
+          dueUtc: editDue
+            ? datetimeLocalToUtcIso(editDue, dueEditTimeZone)
+            : null,
+        }),
       },
-      oldTitle,
-      trimmedTitle
+      task.recurrence ? editScope : "occurrence"
     );
     setIsEditing(false);
   };
@@ -1218,6 +5608,15 @@ const TaskItem = ({ task, onToggle, onEdit, onDelete, onUpdate }) => {
     setEditNotes(task.notes || "");
     setEditClientName(task.clientName || "");
     setEditClientCountry(task.clientCountry || "");
+    setEditRecurrence(task.recurrence);
+    setEditPriority(task.priority ?? DEFAULT_PRIORITY);
+    setEditTags(task.tags || []);
+    setEditProjectId(task.projectId);
+    setEditBillable(!!task.billable);
+    setEditTimeZone(task.timezone || "");
+    setEditDue(initialEditDue);
+    setEditReminders(task.reminders);
+    setEditScope("occurrence");
     setIsEditing(false);
   };
 
@@ -1230,9 +5629,18 @@ const TaskItem = ({ task, onToggle, onEdit, onDelete, onUpdate }) => {
   };
 
   const timeLeft = useCountdown(task.dueUtc);
+  const openBlockers = task.completed ? [] : getOpenBlockers(task, tasksById);
+  const runningEntry = getRunningEntry(task);
+  const trackedMs = getTrackedMs(task, currentTime.local.getTime());
 
   return (
-    <li className="bg-white rounded-2xl shadow-sm border border-slate-200 hover:shadow-md transition-all duration-300 hover:border-slate-300">
+    <li
+      className={`bg-white rounded-2xl shadow-sm border hover:shadow-md transition-all duration-300 ${
+        openBlockers.length > 0
+          ? "border-amber-300 hover:border-amber-400"
+          : "border-slate-200 hover:border-slate-300"
+      }`}
+    >
       <div className="p-5">
         <div className="flex items-start gap-4">
           <button
@@ -1277,12 +5685,15 @@ const TaskItem = ({ task, onToggle, onEdit, onDelete, onUpdate }) => {
                     <label className="block text-sm font-medium text-slate-700 mb-2">
                       👤 Client Name
                     </label>
-                    <input
-                      type="text"
+                    <ClientPicker
                       value={editClientName}
-                      onChange={(e) => setEditClientName(e.target.value)}
+                      onChange={setEditClientName}
+                      onSelect={(client) => {
+                        setEditClientName(client.name);
+                        setEditClientCountry(client.country || "");
+                      }}
+                      clients={clients}
                       className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
-                      placeholder="Client name"
                     />
                   </div>
                   <div>
@@ -1299,6 +5710,40 @@ const TaskItem = ({ task, onToggle, onEdit, onDelete, onUpdate }) => {
                   </div>
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">
+                    📁 Project
+                  </label>
+                  <select
+                    value={editProjectId}
+                    onChange={(e) => setEditProjectId(e.target.value)}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+                  >
+                    {projects
+                      .filter(
+                        (project) =>
+                          !project.archived || project.id === task.projectId
+                      )
+                      .map((project) => (
+                        <option key={project.id} value={project.id}>
+                          {project.name}
+                        </option>
+                      ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">
+                    🏷️ Tags
+                  </label>
+                  <TagInput
+                    value={editTags}
+                    onChange={setEditTags}
+                    suggestions={tagSuggestions}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus-within:ring-2 focus-within:ring-blue-500 transition-all duration-200"
+                  />
+                </div>
+
                 <textarea
                   value={editNotes}
                   onChange={(e) => setEditNotes(e.target.value)}
@@ -1306,6 +5751,177 @@ const TaskItem = ({ task, onToggle, onEdit, onDelete, onUpdate }) => {
                   className="w-full text-sm text-slate-600 border border-slate-300 rounded-lg p-3 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
                   rows="3"
                 />
+
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">
+                    🚩 Priority
+                  </label>
+                  <select
+                    value={editPriority}
+                    onChange={(e) => setEditPriority(Number(e.target.value))}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+                  >
+                    {Object.entries(PRIORITY_LEVELS).map(([value, level]) => (
+                      <option key={value} value={value}>
+                        {level.label} · {level.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">
+                    📅 Due ({dueEditTimeZone})
+                  </label>
+                  <input
+                    type="datetime-local"
+                    value={editDue}
+                    onChange={(e) => setEditDue(e.target.value)}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+                  />
+                  <div className="flex flex-wrap gap-2 mt-2">
+                    {Object.entries(RESCHEDULE_PRESETS).map(
+                      ([preset, label]) => (
+                        <button
+                          key={preset}
+                          type="button"
+                          onClick={() =>
+                            setEditDue(
+                              utcIsoToLocalInputValue(
+                                rescheduleDue(
+                                  editDue
+                                    ? datetimeLocalToUtcIso(
+                                        editDue,
+                                        dueEditTimeZone
+                                      )
+                                    : null,
+                                  preset,
+                                  dueEditTimeZone
+                                ),
+                                dueEditTimeZone
+                              )
+                            )
+                          }
+                          className="px-3 py-1 bg-sky-50 text-sky-700 border border-sky-200 rounded-lg text-xs font-medium hover:bg-sky-100 transition-all duration-200"
+                        >
+                          {label}
+                        </button>
+                      )
+                    )}
+                    {editDue && (
+                      <button
+                        type="button"
+                        onClick={() => setEditDue("")}
+                        className="px-3 py-1 bg-slate-50 text-slate-600 border border-slate-200 rounded-lg text-xs font-medium hover:bg-slate-100 transition-all duration-200"
+                      >
+                        No due date
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">
+                    🕒 Timezone
+                  </label>
+                  <input
+                    value={editTimeZone}
+                    onChange={(e) => setEditTimeZone(e.target.value)}
+                    list="timezone-options"
+                    placeholder="Client's timezone"
+                    className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 ${
+                      isEditTimeZoneValid
+                        ? "border-slate-300"
+                        : "border-rose-400"
+                    }`}
+                  />
+                  {!isEditTimeZoneValid && (
+                    <p className="mt-1 text-xs text-rose-600">
+                      Not a known IANA timezone
+                    </p>
+                  )}
+                </div>
+
+                <div>
+                  <label className="flex items-center gap-2 text-sm font-medium text-slate-700 mb-2">
+                    <input
+                      type="checkbox"
+                      checked={editReminders !== null}
+                      onChange={(e) =>
+                        setEditReminders(
+                          e.target.checked
+                            ? getTaskReminders(task, defaultReminders)
+                            : null
+                        )
+                      }
+                      className="rounded text-blue-600 focus:ring-blue-500 w-4 h-4"
+                    />
+                    🔔 Custom reminders for this task
+                  </label>
+                  {editReminders !== null ? (
+                    <ReminderEditor
+                      value={editReminders}
+                      onChange={setEditReminders}
+                    />
+                  ) : (
+                    <p className="text-xs text-slate-500">
+                      {describeReminders(
+                        getTaskReminders(
+                          { ...task, reminders: null },
+                          defaultReminders
+                        )
+                      )}
+                    </p>
+                  )}
+                </div>
+
+                <label className="flex items-center gap-2 text-sm text-slate-700">
+                  <input
+                    type="checkbox"
+                    checked={editBillable}
+                    onChange={(e) => setEditBillable(e.target.checked)}
+                    className="rounded text-blue-600 focus:ring-blue-500 w-4 h-4"
+                  />
+                  💵 Billable to the client
+                </label>
+
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">
+                    🔁 Repeat
+                  </label>
+                  <RecurrenceEditor
+                    value={editRecurrence}
+                    onChange={setEditRecurrence}
+                    referenceIso={task.dueUtc}
+                    timeZone={dueEditTimeZone}
+                  />
+                </div>
+
+                {task.recurrence && (
+                  <div className="p-3 bg-blue-50 border border-blue-200 rounded-lg space-y-2 text-sm text-blue-800">
+                    <div className="font-medium">Apply changes to</div>
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="radio"
+                        checked={editScope === "occurrence"}
+                        onChange={() => setEditScope("occurrence")}
+                      />
+                      This occurrence only
+                    </label>
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="radio"
+                        checked={editScope === "series"}
+                        onChange={() => setEditScope("series")}
+                      />
+                      The whole series
+                    </label>
+                    <p className="text-xs opacity-75">
+                      Changes to the repeat rule always apply to the series.
+                    </p>
+                  </div>
+                )}
+
                 <div className="flex gap-2">
                   <button
                     onClick={handleSave}
@@ -1335,29 +5951,132 @@ const TaskItem = ({ task, onToggle, onEdit, onDelete, onUpdate }) => {
                       >
                         {task.title}
                       </h3>
+                      {task.subtasks?.length > 0 && (
+                        <span
+                          className="inline-flex items-center gap-1 px-2 py-1 bg-slate-100 text-slate-700 rounded-full text-xs font-medium"
+                          title="Checklist progress"
+                        >
+                          ☑{" "}
+                          {
+                            task.subtasks.filter((subtask) => subtask.done)
+                              .length
+                          }
+                          /{task.subtasks.length}
+                        </span>
+                      )}
+                      {runningEntry ? (
+                        <span
+                          className="inline-flex items-center gap-1 px-2 py-1 bg-emerald-100 text-emerald-800 rounded-full text-xs font-mono font-semibold animate-pulse"
+                          title={`Total tracked: ${formatDuration(trackedMs)}`}
+                        >
+                          ⏱{" "}
+                          {formatStopwatch(
+                            getEntryMs(
+                              runningEntry,
+                              currentTime.local.getTime()
+                            )
+                          )}
+                        </span>
+                      ) : (
+                        trackedMs > 0 && (
+                          <span
+                            className="inline-flex items-center gap-1 px-2 py-1 bg-slate-100 text-slate-700 rounded-full text-xs font-medium"
+                            title="Total time tracked"
+                          >
+                            ⏱ {formatDuration(trackedMs)}
+                          </span>
+                        )
+                      )}
                       {task.dueUtc && !task.completed && (
                         <CountdownTimer
                           targetDate={task.dueUtc}
                           taskTitle={task.title}
                           compact={true}
+                          clientTimeZone={clientTimeZone}
                         />
                       )}
                     </div>
 
-                    {(task.clientName || task.clientCountry) && (
-                      <div className="flex flex-wrap gap-3 mt-2">
-                        {task.clientName && (
-                          <span className="inline-flex items-center gap-1 px-2 py-1 bg-blue-50 text-blue-700 rounded-full text-xs font-medium">
-                            👤 {task.clientName}
-                          </span>
-                        )}
-                        {task.clientCountry && (
-                          <span className="inline-flex items-center gap-1 px-2 py-1 bg-purple-50 text-purple-700 rounded-full text-xs font-medium">
-                            🌍 {task.clientCountry}
-                          </span>
-                        )}
-                      </div>
-                    )}
+                    <div className="flex flex-wrap gap-3 mt-2">
+                      {PRIORITY_LEVELS[task.priority] && (
+                        <span
+                          className={`inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-semibold border ${
+                            PRIORITY_LEVELS[task.priority].color
+                          } ${PRIORITY_LEVELS[task.priority].bg} ${
+                            PRIORITY_LEVELS[task.priority].border
+                          }`}
+                          title={`Priority: ${
+                            PRIORITY_LEVELS[task.priority].name
+                          }`}
+                        >
+                          🚩 {PRIORITY_LEVELS[task.priority].label}
+                        </span>
+                      )}
+                      {task.recurrence && (
+                        <span
+                          className="inline-flex items-center gap-1 px-2 py-1 bg-indigo-50 text-indigo-700 rounded-full text-xs font-medium"
+                          title="Repeating task"
+                        >
+                          🔁 {describeRecurrence(task.recurrence)}
+                        </span>
+                      )}
+                      {task.clientName && (
+                        <span className="inline-flex items-center gap-1 px-2 py-1 bg-blue-50 text-blue-700 rounded-full text-xs font-medium">
+                          👤 {task.clientName}
+                        </span>
+                      )}
+                      {task.clientCountry && (
+                        <span className="inline-flex items-center gap-1 px-2 py-1 bg-purple-50 text-purple-700 rounded-full text-xs font-medium">
+                          🌍 {task.clientCountry}
+                        </span>
+                      )}
+                      {task.billable && (
+                        <span className="inline-flex items-center gap-1 px-2 py-1 bg-emerald-50 text-emerald-700 rounded-full text-xs font-medium">
+                          💵 Billable
+                        </span>
+                      )}
+                      {task.reminders && (
+                        <span
+                          className="inline-flex items-center gap-1 px-2 py-1 bg-amber-50 text-amber-700 rounded-full text-xs font-medium"
+                          title={describeReminders(task.reminders)}
+                        >
+                          🔔 {task.reminders.length}
+                        </span>
+                      )}
+                      {task.snoozeCount > 0 && (
+                        <span
+                          className="inline-flex items-center gap-1 px-2 py-1 bg-violet-50 text-violet-700 rounded-full text-xs font-medium"
+                          title={
+                            task.snoozedUntil
+                              ? `Reminder at ${formatForDisplay(
+                                  task.snoozedUntil,
+                                  dueEditTimeZone
+                                )}`
+                              : "Times snoozed"
+                          }
+                        >
+                          😴 {task.snoozeCount}×
+                        </span>
+                      )}
+                      {openBlockers.length > 0 && (
+                        <span
+                          className="inline-flex items-center gap-1 px-2 py-1 bg-amber-100 text-amber-800 rounded-full text-xs font-semibold"
+                          title={`Waiting on: ${openBlockers
+                            .map((blocker) => blocker.title)
+                            .join(", ")}`}
+                        >
+                          ⛔ Blocked by {openBlockers.length}
+                        </span>
+                      )}
+                      {projectName && (
+                        <span className="inline-flex items-center gap-1 px-2 py-1 bg-slate-100 text-slate-700 rounded-full text-xs font-medium">
+                          📁 {projectName}
+                        </span>
+                      )}
+                      {(task.tags || []).map((tag) => (
+                        <TagChip key={tag} tag={tag} />
+                      ))}
+                    </div>
 
                     {task.notes && (
                       <p className="text-sm text-slate-600 mt-2 line-clamp-2">
@@ -1371,14 +6090,60 @@ const TaskItem = ({ task, onToggle, onEdit, onDelete, onUpdate }) => {
                         <CountdownTimer
                           targetDate={task.dueUtc}
                           taskTitle={task.title}
+                          clientTimeZone={clientTimeZone}
                         />
+                        {timeLeft.isOverdue && (
+                          <SnoozeMenu
+                            timeZone={dueEditTimeZone}
+                            onSnooze={(untilIso, options) =>
+                              onSnooze(task.id, untilIso, options)
+                            }
+                          />
+                        )}
                       </div>
                     )}
                   </div>
 
                   <div className="flex gap-1 ml-4 flex-shrink-0">
+                    {!task.completed && (
+                      <button
+                        onClick={() =>
+                          runningEntry
+                            ? onStopTimer(task.id)
+                            : onStartTimer(task.id)
+                        }
+                        className={`p-2 rounded-xl transition-all duration-200 transform hover:scale-110 ${
+                          runningEntry
+                            ? "text-emerald-600 bg-emerald-50 hover:bg-emerald-100"
+                            : "text-slate-400 hover:text-emerald-600 hover:bg-emerald-50"
+                        }`}
+                        title={runningEntry ? "Stop timer" : "Start timer"}
+                      >
+                        <svg
+                          className="w-4 h-4"
+                          fill="none"
+                          stroke="currentColor"
+                          viewBox="0 0 24 24"
+                        >
+                          <path
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                            strokeWidth={2}
+                            d={
+                              runningEntry
+                                ? "M10 9v6m4-6v6m7-3a9 9 0 11-18 0 9 9 0 0118 0z"
+                                : "M14.752 11.168l-3.197-2.132A1 1 0 0010 9.87v4.263a1 1 0 001.555.832l3.197-2.132a1 1 0 000-1.664zM21 12a9 9 0 11-18 0 9 9 0 0118 0z"
+                            }
+                          />
+                        </svg>
+                      </button>
+                    )}
                     <button
-                      onClick={() => setIsEditing(true)}
+                      onClick={() => {
+                        // The due date may have moved since the last edit
+                        setEditDue(initialEditDue);
+                        setIsEditing(true);
+                      }}
                       className="p-2 text-slate-400 hover:text-blue-600 hover:bg-blue-50 rounded-xl transition-all duration-200 transform hover:scale-110"
                       title="Edit task"
                     >
@@ -1399,7 +6164,7 @@ const TaskItem = ({ task, onToggle, onEdit, onDelete, onUpdate }) => {
                     <button
                       onClick={() => onDelete(task.id)}
                       className="p-2 text-slate-400 hover:text-rose-600 hover:bg-rose-50 rounded-xl transition-all duration-200 transform hover:scale-110"
-                      title="Delete task"
+                      title="Move to Trash"
                     >
                       <svg
                         className="w-4 h-4"
@@ -1468,6 +6233,20 @@ const TaskItem = ({ task, onToggle, onEdit, onDelete, onUpdate }) => {
                                 )}
                               </span>
                             </div>
+                            {clientTimeZone && (
+                              <div className="flex justify-between items-center p-3 bg-white rounded-lg border border-slate-200">
+                                <span className="text-sm text-slate-600">
+                                  Client Time ({clientTimeZone})
+                                </span>
+                                <span className="font-mono text-sm font-semibold text-blue-600">
+                                  {formatForDisplay(
+                                    task.dueUtc,
+                                    clientTimeZone,
+                                    true
+                                  )}
+                                </span>
+                              </div>
+                            )}
                           </div>
                         </div>
                       </div>
@@ -1546,6 +6325,37 @@ const TaskItem = ({ task, onToggle, onEdit, onDelete, onUpdate }) => {
                         </div>
                       </div>
                     </div>
+
+                    <div className="mt-6 pt-4 border-t border-slate-200">
+                      <SubtaskList
+                        subtasks={task.subtasks || []}
+                        onChange={(subtasks) =>
+                          onUpdate(task.id, { subtasks }, "occurrence", {
+                            quiet: true,
+                          })
+                        }
+                      />
+                    </div>
+
+                    <div className="mt-6 pt-4 border-t border-slate-200">
+                      <TimeLog
+                        entries={task.timeEntries || []}
+                        onChange={(timeEntries) =>
+                          onTimeEntriesChange(task.id, timeEntries)
+                        }
+                      />
+                    </div>
+
+                    <div className="mt-6 pt-4 border-t border-slate-200">
+                      <DependencyPicker
+                        task={task}
+                        tasksById={tasksById}
+                        options={dependencyOptions}
+                        onChange={(blockedBy) =>
+                          onUpdate(task.id, { blockedBy })
+                        }
+                      />
+                    </div>
                   </div>
                 )}
               </>
@@ -1713,24 +6523,109 @@ const NotificationActions = ({
 // ---------------------- Main Component ----------------------
 
 export default function TodoApp() {
-  const [tasks, setTasks] = useLocalStorage(STORAGE_KEY, []);
+  const [tasks, setTasks, isTasksLoaded] = useTaskRepository();
+  const { commitTasks, undo, redo, canUndo, canRedo, undoLabel, redoLabel } =
+    useUndoRedo(setTasks);
   const [title, setTitle] = useState("");
   const [notes, setNotes] = useState("");
   const [clientName, setClientName] = useState("");
   const [clientCountry, setClientCountry] = useState("");
   const [dueLocalInputValue, setDueLocalInputValue] = useState("");
-  const [interpretAsUtc, setInterpretAsUtc] = useState(true);
+  // How the due date input is read: "utc", "local", "client" or "custom"
+  const [dueTimeZoneMode, setDueTimeZoneMode] = useState("utc");
+  const [customDueTimeZone, setCustomDueTimeZone] = useState("");
+  const [recurrence, setRecurrence] = useState(null);
   const [query, setQuery] = useState("");
   const [filter, setFilter] = useState("all");
   const [sortBy, setSortBy] = useState("due");
+  const [priorityFilter, setPriorityFilter] = useState("all");
+  const [priority, setPriority] = useState(DEFAULT_PRIORITY);
+  const [tags, setTags] = useState([]);
+  const [tagFilter, setTagFilter] = useState([]);
+  const [tagMatch, setTagMatch] = useState("any");
   const [toasts, setToasts] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [showHistory, setShowHistory] = useState(false);
 
-  const activeTasks = useMemo(() => {
-    return tasks.filter((task) => !task.completed);
+  const [settings, updateSetting, isSettingsLoaded] = useSettings();
+  const [showTrash, setShowTrash] = useState(false);
+  const [showBilling, setShowBilling] = useState(false);
+  const [showClients, setShowClients] = useState(false);
+  const [showReminderSettings, setShowReminderSettings] = useState(false);
+
+  const clients = useMemo(
+    () => (Array.isArray(settings.clients) ? settings.clients : []),
+    [settings.clients]
+  );
+
+  const clientsById = useMemo(
+    () => new Map(clients.map((client) => [client.id, client])),
+    [clients]
+  );
+  const [billable, setBillable] = useState(false);
+  // null = use the default reminder schedule
+  const [taskReminders, setTaskReminders] = useState(null);
+  const [selectedProjectId, setSelectedProjectId] = useState("all");
+  const [newTaskProjectId, setNewTaskProjectId] = useState(INBOX_PROJECT_ID);
+  const [newProjectName, setNewProjectName] = useState("");
+  const [showArchivedProjects, setShowArchivedProjects] = useState(false);
+
+  const projects = useMemo(
+    () => withInbox(settings.projects),
+    [settings.projects]
+  );
+
+  const projectNames = useMemo(
+    () =>
+      Object.fromEntries(projects.map((project) => [project.id, project.name])),
+    [projects]
+  );
+
+  // Non-trashed tasks grouped by project. Tasks pointing at a project that
+  // no longer exists (e.g. from a partial import) are shown in the Inbox.
+  const tasksByProject = useMemo(() => {
+    const groups = new Map(projects.map((project) => [project.id, []]));
+    tasks.forEach((task) => {
+      if (task.deletedAtUtc) return;
+      const group = groups.get(task.projectId) || groups.get(INBOX_PROJECT_ID);
+      group.push(task);
+    });
+    return groups;
+  }, [projects, tasks]);
+
+  // Tasks in the Trash are invisible everywhere except the Trash view, and
+  // archiving a project takes its tasks out of lists, stats and reminders
+  const liveTasks = useMemo(() => {
+    const archivedIds = new Set(
+      projects.filter((project) => project.archived).map((p) => p.id)
+    );
+    return tasks.filter(
+      (task) => !task.deletedAtUtc && !archivedIds.has(task.projectId)
+    );
+  }, [projects, tasks]);
+
+  const tasksById = useMemo(
+    () => new Map(tasks.map((task) => [task.id, task])),
+    [tasks]
+  );
+
+  const trashedTasks = useMemo(() => {
+    return tasks.filter((task) => task.deletedAtUtc);
   }, [tasks]);
 
+  const activeTasks = useMemo(() => {
+    return liveTasks.filter((task) => !task.completed);
+  }, [liveTasks]);
+
+  // Every tag in use, for autocomplete and the tag filter
+  const allTags = useMemo(
+    () =>
+      normalizeTags(liveTasks.flatMap((task) => task.tags || [])).sort((a, b) =>
+        a.localeCompare(b)
+      ),
+    [liveTasks]
+  );
+
   const titleRef = useRef(null);
   const debouncedQuery = useDebounce(query, 300);
 
@@ -1746,26 +6641,60 @@ export default function TodoApp() {
     testNotification,
     showTaskCompleted,
   } = usePushNotifications();
+  const backgroundReminders = useBackgroundReminders(notificationPermission);
 
-  const { permission: enhancedNotificationPermission } =
-    useEnhancedNotifications(activeTasks);
+  const {
+    permission: enhancedNotificationPermission,
+    isReminderLeader,
+    missedReminders,
+    dismissMissedReminders,
+  } = useEnhancedNotifications(
+    activeTasks,
+    clients,
+    settings.defaultReminders,
+    isTasksLoaded && isSettingsLoaded
+  );
 
   const currentTime = useLiveTime();
 
-  // Find next upcoming task from active tasks only
+  // Find next upcoming task from active tasks only; blocked tasks can't be
+  // worked on yet, so they are never "next up"
   const nextUpcomingTask = useMemo(() => {
     const upcoming = activeTasks
-      .filter((task) => task.dueUtc && new Date(task.dueUtc) > new Date())
+      .filter(
+        (task) =>
+          task.dueUtc &&
+          new Date(task.dueUtc) > new Date() &&
+          getOpenBlockers(task, tasksById).length === 0
+      )
       .sort((a, b) => new Date(a.dueUtc) - new Date(b.dueUtc))[0];
 
     return upcoming;
-  }, [activeTasks]);
+  }, [activeTasks, tasksById]);
 
-  const addToast = (message, type = "info") => {
+  const addToast = (message, type = "info", action = null) => {
     const id = genId();
-    setToasts((prev) => [...prev, { id, message, type }]);
+    setToasts((prev) => [...prev, { id, message, type, action }]);
+  };
+
+  const undoChange = (entryId = null) => {
+    const entry = undo(entryId);
+    if (entry) {
+      addToast(`Undone: ${entry.label}`, "info");
+    } else if (entryId) {
+      addToast("Undo newer changes first", "warning");
+    }
   };
 
+  const redoChange = () => {
+    const entry = redo();
+    if (entry) addToast(`Redone: ${entry.label}`, "info");
+  };
+
+  // Toast action that undoes exactly the change the toast reports
+  const undoAction = (entryId) =>
+    entryId ? { label: "Undo", onClick: () => undoChange(entryId) } : null;
+
   const removeToast = (id) => {
     setToasts((prev) => prev.filter((toast) => toast.id !== id));
   };
@@ -1778,11 +6707,53 @@ export default function TodoApp() {
     };
   }, []);
 
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS). Text fields keep their native undo.
+  const undoShortcutsRef = useRef(null);
+  undoShortcutsRef.current = { undo: undoChange, redo: redoChange };
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+      const target = e.target;
+      if (
+        target.isContentEditable ||
+        ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName)
+      ) {
+        return;
+      }
+
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undoShortcutsRef.current.undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        undoShortcutsRef.current.redo();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
   // Handle service worker messages
   useEffect(() => {
     // Handle messages from service worker
     if ("serviceWorker" in navigator) {
       navigator.serviceWorker.addEventListener("message", (event) => {
+        // The worker already saved the change; the task list picks it up
+        // through the sync channel
+        if (event.data && event.data.type === "NOTIFICATION_ACTION_APPLIED") {
+          addToast(
+            event.data.action === "done"
+              ? `Task completed from notification: "${event.data.taskTitle}"`
+              : `"${event.data.taskTitle}" snoozed from notification`,
+            "info"
+          );
+          return;
+        }
+
         if (event.data && event.data.type === "NOTIFICATION_CLICKED") {
           console.log("Notification clicked:", event.data);
           // You can handle specific notification actions here
@@ -1816,10 +6787,27 @@ export default function TodoApp() {
   }, []);
 
   const filteredTasks = useMemo(() => {
-    let arr = activeTasks.slice(); // Only show active tasks
+    let arr = // Only show active tasks
+      selectedProjectId === "all"
+        ? activeTasks.slice()
+        : (tasksByProject.get(selectedProjectId) || []).filter(
+            (t) => !t.completed
+          );
 
     if (filter === "active") arr = arr.filter((t) => !t.completed);
     if (filter === "completed") arr = arr.filter((t) => t.completed);
+    if (priorityFilter !== "all") {
+      arr = arr.filter((t) => t.priority === Number(priorityFilter));
+    }
+    if (tagFilter.length > 0) {
+      const wanted = tagFilter.map((tag) => tag.toLowerCase());
+      arr = arr.filter((t) => {
+        const taskTags = (t.tags || []).map((tag) => tag.toLowerCase());
+        return tagMatch === "all"
+          ? wanted.every((tag) => taskTags.includes(tag))
+          : wanted.some((tag) => taskTags.includes(tag));
+      });
+    }
 
     if (debouncedQuery) {
       const q = debouncedQuery.toLowerCase();
@@ -1828,17 +6816,31 @@ export default function TodoApp() {
           t.title.toLowerCase().includes(q) ||
           (t.notes || "").toLowerCase().includes(q) ||
           (t.clientName || "").toLowerCase().includes(q) ||
-          (t.clientCountry || "").toLowerCase().includes(q)
+          (t.clientCountry || "").toLowerCase().includes(q) ||
+          (t.tags || []).some((tag) => `#${tag}`.toLowerCase().includes(q)) ||
+          (t.subtasks || []).some((subtask) =>
+            subtask.title.toLowerCase().includes(q)
+          )
       );
     }
 
+    const compareDue = (a, b) => {
+      if (!a.dueUtc && !b.dueUtc) return 0;
+      if (!a.dueUtc) return 1;
+      if (!b.dueUtc) return -1;
+      return new Date(a.dueUtc).getTime() - new Date(b.dueUtc).getTime();
+    };
+
     arr.sort((a, b) => {
       switch (sortBy) {
         case "due":
-          if (!a.dueUtc && !b.dueUtc) return 0;
-          if (!a.dueUtc) return 1;
-          if (!b.dueUtc) return -1;
-          return new Date(a.dueUtc).getTime() - new Date(b.dueUtc).getTime();
+          return compareDue(a, b);
+
+        case "priority":
+          return (
+            (a.priority ?? DEFAULT_PRIORITY) -
+              (b.priority ?? DEFAULT_PRIORITY) || compareDue(a, b)
+          );
 
         case "created":
           return (
@@ -1858,202 +6860,875 @@ export default function TodoApp() {
     });
 
     return arr;
-  }, [activeTasks, debouncedQuery, filter, sortBy]);
+  }, [
+    activeTasks,
+    tasksByProject,
+    selectedProjectId,
+    debouncedQuery,
+    filter,
+    priorityFilter,
+    tagFilter,
+    tagMatch,
+    sortBy,
+  ]);
+
+  const toggleTagFilter = (tag) => {
+    setTagFilter((prev) =>
+      prev.includes(tag) ? prev.filter((t) => t !== tag) : [...prev, tag]
+    );
+  };
 
-  const stats = useMemo(
-    () => ({
-      total: tasks.length,
-      completed: tasks.filter((t) => t.completed).length,
-      active: activeTasks.length,
-      overdue: activeTasks.filter(
-        (t) => t.dueUtc && new Date(t.dueUtc) < new Date()
-      ).length,
-      dueSoon: activeTasks.filter(
-        (t) =>
-          t.dueUtc &&
-          new Date(t.dueUtc) > new Date() &&
-          new Date(t.dueUtc) <= new Date(Date.now() + 5 * 60 * 60 * 1000)
-      ).length,
-      withClients: activeTasks.filter((t) => t.clientName || t.clientCountry)
-        .length,
-    }),
-    [tasks, activeTasks]
+  // Drop filter tags that no task carries anymore
+  useEffect(() => {
+    setTagFilter((prev) => {
+      const next = prev.filter((tag) => allTags.includes(tag));
+      return next.length === prev.length ? prev : next;
+    });
+  }, [allTags]);
+
+  const stats = useMemo(() => computeTaskStats(liveTasks), [liveTasks]);
+
+  const projectStats = useMemo(
+    () =>
+      Object.fromEntries(
+        projects.map((project) => [
+          project.id,
+          computeTaskStats(tasksByProject.get(project.id)),
+        ])
+      ),
+    [projects, tasksByProject]
   );
 
+  // Fall back to "All" when the open project is archived (maybe in another tab)
+  useEffect(() => {
+    if (selectedProjectId === "all") return;
+    const project = projects.find((p) => p.id === selectedProjectId);
+    if (!project || project.archived) setSelectedProjectId("all");
+  }, [projects, selectedProjectId]);
+
+  const selectProject = (projectId) => {
+    setSelectedProjectId(projectId);
+    if (projectId !== "all") setNewTaskProjectId(projectId);
+  };
+
+  const addProject = (e) => {
+    e.preventDefault();
+    const name = newProjectName.trim();
+    if (!name) return;
+
+    if (projects.some((p) => p.name.toLowerCase() === name.toLowerCase())) {
+      addToast(`A project named "${name}" already exists`, "warning");
+      return;
+    }
+
+    const project = createProject(name);
+    updateSetting("projects", [...projects, project]);
+    setNewProjectName("");
+    selectProject(project.id);
+    addToast(`Project "${name}" created`, "success");
+  };
+
+  const setProjectArchived = (projectId, archived) => {
+    const project = projects.find((p) => p.id === projectId);
+    if (!project || projectId === INBOX_PROJECT_ID) return;
+
+    updateSetting(
+      "projects",
+      projects.map((p) => (p.id === projectId ? { ...p, archived } : p))
+    );
+    if (archived && newTaskProjectId === projectId) {
+      setNewTaskProjectId(INBOX_PROJECT_ID);
+    }
+
+    const count = tasksByProject.get(projectId).length;
+    addToast(
+      archived
+        ? `Project "${project.name}" archived with ${count} tasks`
+        : `Project "${project.name}" restored`,
+      "info"
+    );
+  };
+
+  // Purge expired Trash items. Only the reminder window does this so other
+  // tabs don't log the same deletions twice.
+  useEffect(() => {
+    if (!isTasksLoaded || !isReminderLeader) return;
+
+    const purgeExpired = () => {
+      const cutoff = Date.now() - settings.trashRetentionDays * DAY_MS;
+      const expired = trashedTasks.filter(
+        (task) => new Date(task.deletedAtUtc).getTime() <= cutoff
+      );
+      if (expired.length === 0) return;
+
+      const expiredIds = new Set(expired.map((task) => task.id));
+      setTasks((prev) => prev.filter((task) => !expiredIds.has(task.id)));
+      expired.forEach((task) => {
+        addToHistory("deleted", task, null, "Trash retention expired");
+      });
+    };
+
+    purgeExpired();
+    const timer = setInterval(purgeExpired, 60 * 60 * 1000);
+    return () => clearInterval(timer);
+  }, [
+    isTasksLoaded,
+    isReminderLeader,
+    trashedTasks,
+    settings.trashRetentionDays,
+    setTasks,
+  ]);
+
+  // The service worker can't compute recurrences, so repeating tasks it
+  // completed from a notification get their next occurrence here
+  useEffect(() => {
+    if (!isTasksLoaded || !isReminderLeader) return;
+
+    const pending = tasks.filter((task) => task.pendingCompletionUtc);
+    if (pending.length === 0) return;
+
+    const nextOccurrences = [];
+    const updatedById = new Map();
+    pending.forEach((task) => {
+      const { pendingCompletionUtc, ...updated } = task;
+      const nextOccurrence =
+        task.completed &&
+        task.recurrence &&
+        !tasksById.has(task.nextOccurrenceId)
+          ? createNextOccurrence(task, pendingCompletionUtc)
+          : null;
+      if (nextOccurrence) {
+        updated.seriesId = nextOccurrence.seriesId;
+        updated.nextOccurrenceId = nextOccurrence.id;
+        nextOccurrences.push(nextOccurrence);
+        addToHistory("created", nextOccurrence, null, "Next occurrence");
+      }
+      updatedById.set(task.id, updated);
+    });
+
+    setTasks((prev) => [
+      ...nextOccurrences,
+      ...prev.map((task) => updatedById.get(task.id) || task),
+    ]);
+  }, [isTasksLoaded, isReminderLeader, tasks, tasksById, setTasks]);
+
+  // Link free-text clients (older tasks, imports) to directory entries.
+  // Only the reminder window does this so tabs don't create duplicates.
+  // Trashed tasks are left alone, or deleting a client they still name
+  // would bring it straight back; they're linked again once restored.
+  useEffect(() => {
+    if (!isTasksLoaded || !isSettingsLoaded || !isReminderLeader) return;
+
+    const knownIds = new Set(clients.map((client) => client.id));
+    const unlinked = tasks.filter(
+      (task) =>
+        !task.deletedAtUtc &&
+        task.clientName?.trim() &&
+        !knownIds.has(task.clientId)
+    );
+    if (unlinked.length === 0) return;
+
+    const linked = linkTasksToClients(clients, unlinked);
+    if (linked.clients.length !== clients.length) {
+      updateSetting("clients", linked.clients);
+    }
+    setTasks((prev) =>
+      prev.map((task) => {
+        const client = linked.links.get(task.id);
+        return client
+          ? {
+              ...task,
+              clientId: client.id,
+              clientName: client.name,
+              clientCountry: task.clientCountry || client.country,
+            }
+          : task;
+      })
+    );
+  }, [
+    isTasksLoaded,
+    isSettingsLoaded,
+    isReminderLeader,
+    clients,
+    tasks,
+    setTasks,
+    updateSetting,
+  ]);
+
+  // Typed client names resolve to a directory entry, created on first use
+  const resolveClient = (name, country) => {
+    if (!name?.trim()) return null;
+
+    const existing = findClientByName(clients, name);
+    if (existing) return existing;
+
+    const client = createClient({
+      name: name.trim(),
+      country: country?.trim() || "",
+    });
+    updateSetting("clients", [...clients, client]);
+    return client;
+  };
+
+  // Returns an error message, or null once saved
+  const saveClient = (client) => {
+    const duplicate = clients.find(
+      (c) =>
+        c.id !== client.id &&
+        normalizeClientKey(c.name) === normalizeClientKey(client.name)
+    );
+    if (duplicate) {
+      return `"${duplicate.name}" is already in the directory`;
+    }
+
+    const previous = clients.find((c) => c.id === client.id);
+    updateSetting(
+      "clients",
+      previous
+        ? clients.map((c) => (c.id === client.id ? client : c))
+        : [...clients, client]
+    );
+
+    if (previous && previous.name !== client.name) {
+      const { [previous.name]: rate, ...otherRates } = settings.clientRates;
+      if (rate && !otherRates[client.name]) {
+        updateSetting("clientRates", { ...otherRates, [client.name]: rate });
+      }
+    }
+
+    if (
+      previous &&
+      (previous.name !== client.name || previous.country !== client.country)
+    ) {
+      relinkClientTasks(
+        [client.id],
+        client,
+        `Rename client "${previous.name}"`
+      );
+    }
+
+    addToast(`Client "${client.name}" saved`, "success");
+    return null;
+  };
+
+  // Points every task of `clientIds` at `client`, keeping names in sync
+  const relinkClientTasks = (clientIds, client, label) => {
+    const ids = new Set(clientIds);
+    const affected = tasks.filter((task) => ids.has(task.clientId));
+    if (affected.length === 0) return;
+
+    const updatedById = new Map(
+      affected.map((task) => [
+        task.id,
+        {
+          ...task,
+          clientId: client.id,
+          clientName: client.name,
+          clientCountry: client.country || undefined,
+        },
+      ])
+    );
+    commitTasks(label, (prev) =>
+      prev.map((task) => updatedById.get(task.id) || task)
+    );
+    affected.forEach((task) => {
+      const updated = updatedById.get(task.id);
+      addToHistory(
+        "updated",
+        updated,
+        null,
+        null,
+        diffTaskFields(task, updated)
+      );
+    });
+  };
+
+  const mergeClients = (sourceId, targetId) => {
+    const source = clients.find((c) => c.id === sourceId);
+    const target = clients.find((c) => c.id === targetId);
+    if (!source || !target) return;
+
+    updateSetting(
+      "clients",
+      clients.filter((c) => c.id !== sourceId)
+    );
+    const { [source.name]: rate, ...otherRates } = settings.clientRates;
+    if (rate) {
+      updateSetting("clientRates", {
+        ...otherRates,
+        [target.name]: otherRates[target.name] || rate,
+      });
+    }
+    relinkClientTasks(
+      [sourceId],
+      target,
+      `Merge "${source.name}" into "${target.name}"`
+    );
+    addToast(`Merged "${source.name}" into "${target.name}"`, "success");
+  };
+
+  const deleteClient = (clientId) => {
+    const client = clients.find((c) => c.id === clientId);
+    if (!client) return;
+    updateSetting(
+      "clients",
+      clients.filter((c) => c.id !== clientId)
+    );
+    addToast(`Client "${client.name}" removed from the directory`, "info");
+  };
+
   // Create test task function
   const createTestTask = () => {
     const testDueDate = new Date(Date.now() + 15000); // 15 seconds from now
 
-    const testTask = {
-      id: genId(),
+    const testTask = createTask({
       title: "TEST TASK - Notification Test",
       notes:
         "This is a test task to check notifications. It will trigger reminders at 10 seconds, 30 seconds, etc.",
       clientName: "Test Client",
       clientCountry: "Test Country",
       dueUtc: testDueDate.toISOString(),
-      completed: false,
-      createdAtUtc: nowUtcIso(),
-    };
+      reminders: [{ secondsBefore: 30 }, { secondsBefore: 10 }],
+    });
 
-    setTasks((prev) => [testTask, ...prev]);
+    const undoId = commitTasks("Create test task", (prev) => [
+      testTask,
+      ...prev,
+    ]);
     addToHistory("created", testTask);
 
     setTitle("");
     setNotes("");
     setClientName("");
     setClientCountry("");
-    setDueLocalInputValue(utcIsoToLocalInputValue(testDueDate.toISOString()));
+    setDueLocalInputValue(
+      utcIsoToLocalInputValue(testDueDate.toISOString(), dueTimeZone || "UTC")
+    );
 
     addToast(
       "Test task created! Due in 15 seconds. Notifications will trigger automatically.",
-      "success"
+      "success",
+      undoAction(undoId)
     );
   };
 
-  // Unified clear history function
+  // Moves every completed task to the Trash; the activity log is kept
   const clearCompleted = () => {
-    if (
-      window.confirm(
-        "Are you sure you want to clear ALL completed task history permanently? This action cannot be undone and will remove all your completed task records."
+    const completedTasks = liveTasks.filter((task) => task.completed);
+    if (completedTasks.length === 0) return;
+
+    const deletedAtUtc = nowUtcIso();
+    const completedIds = new Set(completedTasks.map((task) => task.id));
+    const undoId = commitTasks("Clear completed tasks", (prev) =>
+      prev.map((task) =>
+        completedIds.has(task.id) ? { ...task, deletedAtUtc } : task
       )
+    );
+
+    completedTasks.forEach((task) => {
+      addToHistory("trashed", task);
+    });
+
+    addToast(
+      `${completedTasks.length} completed tasks moved to Trash`,
+      "success",
+      undoAction(undoId)
+    );
+  };
+
+  const dueClient = findClientByName(clients, clientName);
+  const clientDueTimeZone = isValidTimeZone(dueClient?.timezone)
+    ? dueClient.timezone
+    : null;
+
+  // null while the chosen zone can't be used (no client zone, bad IANA name)
+  const dueTimeZone = {
+    utc: "UTC",
+    local: currentTime.userTimezone || getUserTimeZone(),
+    client: clientDueTimeZone,
+    custom: isValidTimeZone(customDueTimeZone.trim())
+      ? customDueTimeZone.trim()
+      : null,
+  }[dueTimeZoneMode];
+
+  const dueUtcPreview =
+    dueLocalInputValue && dueTimeZone
+      ? datetimeLocalToUtcIso(dueLocalInputValue, dueTimeZone)
+      : null;
+
+  const addTask = async (e) => {
+    if (e) e.preventDefault();
+
+    const trimmedTitle = title.trim();
+    if (!trimmedTitle) {
+      addToast("Please enter a task title", "warning");
+      titleRef.current?.focus();
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      let dueUtc = null;
+      if (dueLocalInputValue) {
+        if (!dueTimeZone) {
+          addToast("Pick a valid timezone for the due date", "warning");
+          return;
+        }
+        dueUtc = datetimeLocalToUtcIso(dueLocalInputValue, dueTimeZone);
+      }
+
+      if (recurrence && recurrence.freq !== "afterCompletion" && !dueUtc) {
+        addToast("Repeating tasks need a due date", "warning");
+        return;
+      }
+
+      const client = resolveClient(clientName, clientCountry);
+      const newTask = createTask({
+        title: trimmedTitle,
+        notes: notes.trim() || undefined,
+        clientId: client?.id ?? null,
+        clientName: client?.name,
+        clientCountry: clientCountry.trim() || client?.country || undefined,
+        dueUtc,
+        recurrence,
+        priority,
+        tags,
+        projectId: newTaskProjectId,
+        billable,
+        // A zone picked by hand becomes the task's display zone
+        timezone: dueTimeZoneMode === "custom" ? dueTimeZone : null,
+        reminders: taskReminders,
+      });
+
+      const undoId = commitTasks(`Create "${newTask.title}"`, (prev) => [
+        newTask,
+        ...prev,
+      ]);
+      addToHistory("created", newTask);
+
+      setTitle("");
+      setNotes("");
+      setClientName("");
+      setClientCountry("");
+      setDueLocalInputValue("");
+      setRecurrence(null);
+      setPriority(DEFAULT_PRIORITY);
+      setTags([]);
+      setBillable(false);
+      setTaskReminders(null);
+
+      addToast("Task added successfully!", "success", undoAction(undoId));
+      titleRef.current?.focus();
+    } catch (error) {
+      addToast(`Error adding task: ${error.message}`, "error");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // `scope` only matters for repeating tasks: "occurrence" keeps the series
+  // values aside so the next occurrence doesn't inherit one-off edits, while
+  // "series" applies the changes to every open occurrence.
+  const updateTask = (id, updates, scope = "occurrence", { quiet } = {}) => {
+    const task = tasks.find((t) => t.id === id);
+    if (!task) return;
+
+    if (
+      updates.blockedBy &&
+      createsDependencyCycle(id, updates.blockedBy, tasksById)
     ) {
-      const completedTasks = tasks.filter((task) => task.completed);
-      setTasks((prev) => prev.filter((task) => !task.completed));
+      addToast("That dependency would create a cycle", "error");
+      return;
+    }
 
-      // Clear the history storage as well
-      localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify([]));
+    if ("clientName" in updates) {
+      const client = resolveClient(updates.clientName, updates.clientCountry);
+      updates = {
+        ...updates,
+        clientId: client?.id ?? null,
+        clientName: client?.name,
+        // What was typed wins over the directory's country
+        clientCountry: updates.clientCountry || client?.country,
+      };
+    }
 
-      completedTasks.forEach((task) => {
-        addToHistory("deleted", task);
+    const seriesId = task.seriesId || (updates.recurrence ? task.id : null);
+    // The repeat rule belongs to the series even when editing one occurrence
+    const ruleChanged =
+      "recurrence" in updates &&
+      !isSameFieldValue(task.recurrence, updates.recurrence);
+    const targets =
+      (scope === "series" || ruleChanged) && seriesId
+        ? liveTasks.filter(
+            (t) => !t.completed && (t.seriesId === seriesId || t.id === id)
+          )
+        : [task];
+
+    const updatedById = new Map();
+    const changesById = new Map();
+    // Other occurrences keep their own due dates when editing the series
+    const { dueUtc: _dueUtc, ...seriesUpdates } = updates;
+    const otherUpdates =
+      scope === "series" ? seriesUpdates : { recurrence: updates.recurrence };
+
+    targets.forEach((target) => {
+      const updated = {
+        ...target,
+        ...(target.id === id ? updates : otherUpdates),
+        seriesId,
+      };
+      const changes = diffTaskFields(target, updated);
+      if (changes.length === 0) return;
+
+      const overrides = { ...(target.occurrenceOverrides || {}) };
+      changes.forEach(({ field, from }) => {
+        // The repeat rule, checklist and dependencies always belong to the
+        // series, so ticking an item doesn't pin the next occurrence to it
+        if (SERIES_ONLY_FIELDS.includes(field)) return;
+        if (scope === "series") {
+          delete overrides[field];
+        } else if (target.recurrence && !(field in overrides)) {
+          overrides[field] = from;
+        }
       });
+      updated.occurrenceOverrides =
+        Object.keys(overrides).length > 0 ? overrides : null;
+
+      updatedById.set(target.id, updated);
+      changesById.set(target.id, changes);
+    });
+
+    if (updatedById.size === 0) return;
+
+    const undoId = commitTasks(
+      scope === "series"
+        ? `Update series "${task.title}"`
+        : `Update "${task.title}"`,
+      (prev) => prev.map((t) => updatedById.get(t.id) || t)
+    );
+    updatedById.forEach((updated, taskId) => {
+      const changes = changesById.get(taskId);
+      const dueChange = changes.find((change) => change.field === "dueUtc");
+      if (dueChange) {
+        addToHistory(
+          "rescheduled",
+          updated,
+          dueChange.from,
+          dueChange.to,
+          changes
+        );
+      } else {
+        addToHistory("updated", updated, null, null, changes);
+      }
+    });
+
+    if (!quiet) {
+      addToast("Task updated successfully!", "success", undoAction(undoId));
+    }
+  };
+
+  const toggleComplete = (id) => {
+    const task = tasks.find((t) => t.id === id);
+    if (!task) return;
+
+    const completedAtUtc = nowUtcIso();
+    const updated = {
+      // The clock stops when the work is done
+      ...(!task.completed && getRunningEntry(task)
+        ? stopRunningEntry(task, completedAtUtc)
+        : task),
+      completed: !task.completed,
+    };
+
+    // Completing a repeating task schedules its next occurrence, once
+    const nextOccurrence =
+      updated.completed &&
+      task.recurrence &&
+      !tasks.some((t) => t.id === task.nextOccurrenceId)
+        ? createNextOccurrence(task, completedAtUtc)
+        : null;
+    if (nextOccurrence) {
+      updated.seriesId = nextOccurrence.seriesId;
+      updated.nextOccurrenceId = nextOccurrence.id;
+    }
+
+    // Tasks whose only open blocker is this one can start once it's done
+    const unblockedTasks = updated.completed
+      ? liveTasks.filter(
+          (t) =>
+            !t.completed &&
+            (t.blockedBy || []).includes(id) &&
+            getOpenBlockers(t, tasksById).every((blocker) => blocker.id === id)
+        )
+      : [];
+
+    const undoId = commitTasks(
+      `${updated.completed ? "Complete" : "Re-open"} "${updated.title}"`,
+      (prev) => [
+        ...(nextOccurrence ? [nextOccurrence] : []),
+        ...prev.map((t) => (t.id === id ? updated : t)),
+      ]
+    );
+
+    if (nextOccurrence) {
+      addToHistory("created", nextOccurrence, null, "Next occurrence");
+      addToast(
+        `Next occurrence due ${getTimeWithTimezone(
+          nextOccurrence.dueUtc,
+          "UTC"
+        )}`,
+        "info"
+      );
+    }
+
+    if (updated.completed) {
+      // When marking as completed, add to history and it will disappear from main list
+      addToHistory("completed", updated);
+      addToast(
+        `Task completed: "${updated.title}"`,
+        "success",
+        undoAction(undoId)
+      );
+
+      // Show push notification for completed task
+      if (notificationPermission === "granted") {
+        showTaskCompleted(updated);
+      }
 
+      unblockedTasks.forEach((t) => {
+        addToast(`🔓 "${t.title}" is unblocked and ready to start`, "info");
+      });
+    } else {
+      // When un-completing, it will reappear in main list
+      addToHistory("uncompleted", updated);
       addToast(
-        "All completed tasks and history cleared permanently",
-        "success"
+        `Task re-opened: "${updated.title}"`,
+        "info",
+        undoAction(undoId)
       );
     }
   };
 
-  const addTask = async (e) => {
-    if (e) e.preventDefault();
+  // Only one timer runs at a time: starting one stops whichever is running
+  const startTimer = (id) => {
+    const task = tasks.find((t) => t.id === id);
+    if (!task || getRunningEntry(task)) return;
+
+    const now = nowUtcIso();
+    const interrupted = tasks.filter((t) => t.id !== id && getRunningEntry(t));
+
+    commitTasks(`Start timer on "${task.title}"`, (prev) =>
+      prev.map((t) => {
+        if (t.id === id) {
+          return {
+            ...t,
+            timeEntries: [
+              ...(t.timeEntries || []),
+              { id: genId(), startUtc: now, endUtc: null, billable: true },
+            ],
+          };
+        }
+        return getRunningEntry(t) ? stopRunningEntry(t, now) : t;
+      })
+    );
+
+    interrupted.forEach((t) => {
+      addToast(`Stopped timer on "${t.title}"`, "info");
+    });
+  };
+
+  const stopTimer = (id) => {
+    const task = tasks.find((t) => t.id === id);
+    const running = task && getRunningEntry(task);
+    if (!running) return;
+
+    const now = nowUtcIso();
+    commitTasks(`Stop timer on "${task.title}"`, (prev) =>
+      prev.map((t) => (t.id === id ? stopRunningEntry(t, now) : t))
+    );
+    addToast(
+      `Logged ${formatDuration(getEntryMs(running))} on "${task.title}"`,
+      "success"
+    );
+  };
+
+  // Snoozing moves the due time, or with keepDue leaves a one-off reminder
+  const snoozeTask = (id, untilIso, { keepDue = false } = {}) => {
+    const task = tasks.find((t) => t.id === id);
+    if (!task || task.completed) return;
+
+    const updated = {
+      ...task,
+      snoozeCount: (task.snoozeCount || 0) + 1,
+      snoozedUntil: keepDue ? untilIso : null,
+      dueUtc: keepDue ? task.dueUtc : untilIso,
+    };
+    // A snoozed occurrence shouldn't shift the rest of its series
+    if (!keepDue && task.recurrence) {
+      updated.occurrenceOverrides = {
+        dueUtc: task.dueUtc,
+        ...(task.occurrenceOverrides || {}),
+      };
+    }
+
+    const untilLabel = formatForDisplay(untilIso, currentTime.userTimezone);
+    const undoId = commitTasks(`Snooze "${task.title}"`, (prev) =>
+      prev.map((t) => (t.id === id ? updated : t))
+    );
+    addToHistory(
+      "snoozed",
+      updated,
+      null,
+      keepDue ? `Reminder at ${untilLabel}` : null,
+      diffTaskFields(task, updated)
+    );
+    addToast(
+      keepDue
+        ? `You'll be reminded about "${task.title}" at ${untilLabel}`
+        : `"${task.title}" snoozed until ${untilLabel}`,
+      "info",
+      undoAction(undoId)
+    );
+  };
+
+  const updateTimeEntries = (id, timeEntries) => {
+    const task = tasks.find((t) => t.id === id);
+    if (!task) return;
 
-    const trimmedTitle = title.trim();
-    if (!trimmedTitle) {
-      addToast("Please enter a task title", "warning");
-      titleRef.current?.focus();
-      return;
-    }
+    const undoId = commitTasks(`Edit time log of "${task.title}"`, (prev) =>
+      prev.map((t) => (t.id === id ? { ...t, timeEntries } : t))
+    );
+    addToast("Time log updated", "success", undoAction(undoId));
+  };
 
-    setIsLoading(true);
+  const deleteTask = (id) => {
+    const taskToDelete = tasks.find((task) => task.id === id);
+    const deletedAtUtc = nowUtcIso();
+    const undoId = commitTasks(
+      `Delete "${taskToDelete?.title || "task"}"`,
+      (prev) =>
+        prev.map((task) =>
+          task.id === id
+            ? { ...stopRunningEntry(task, deletedAtUtc), deletedAtUtc }
+            : task
+        )
+    );
 
-    try {
-      let dueUtc = null;
-      if (dueLocalInputValue) {
-        dueUtc = datetimeLocalToUtcIso(dueLocalInputValue);
-      }
+    if (taskToDelete) {
+      addToHistory("trashed", taskToDelete);
+    }
 
-      const newTask = {
-        id: genId(),
-        title: trimmedTitle,
-        notes: notes.trim() || undefined,
-        clientName: clientName.trim() || undefined,
-        clientCountry: clientCountry.trim() || undefined,
-        dueUtc,
-        completed: false,
-        createdAtUtc: nowUtcIso(),
-      };
+    addToast("Task moved to Trash", "info", undoAction(undoId));
+  };
 
-      setTasks((prev) => [newTask, ...prev]);
-      addToHistory("created", newTask);
+  const restoreFromTrash = (id) => {
+    const task = trashedTasks.find((t) => t.id === id);
+    if (!task) return;
 
-      setTitle("");
-      setNotes("");
-      setClientName("");
-      setClientCountry("");
-      setDueLocalInputValue("");
+    const restored = { ...task, deletedAtUtc: null };
+    const undoId = commitTasks(`Restore "${task.title}"`, (prev) =>
+      prev.map((t) => (t.id === id ? restored : t))
+    );
+    addToHistory("restored", restored);
 
-      addToast("Task added successfully!", "success");
-      titleRef.current?.focus();
-    } catch (error) {
-      addToast(`Error adding task: ${error.message}`, "error");
-    } finally {
-      setIsLoading(false);
-    }
+    addToast(`Restored "${task.title}"`, "success", undoAction(undoId));
   };
 
-  const updateTask = (id, updates, oldValue = null, newValue = null) => {
-    setTasks((prev) =>
-      prev.map((task) => (task.id === id ? { ...task, ...updates } : task))
+  const deletePermanently = (ids, label) => {
+    const idSet = new Set(ids);
+    const removedTasks = trashedTasks.filter((task) => idSet.has(task.id));
+    if (removedTasks.length === 0) return null;
+
+    const undoId = commitTasks(label, (prev) =>
+      prev.filter((task) => !idSet.has(task.id))
     );
+    removedTasks.forEach((task) => {
+      addToHistory("deleted", task);
+    });
+    return undoId;
+  };
 
-    const task = tasks.find((t) => t.id === id);
-    if (task) {
-      addToHistory("updated", { ...task, ...updates }, oldValue, newValue);
-    }
+  const deleteFromTrash = (id) => {
+    const task = trashedTasks.find((t) => t.id === id);
+    if (!task) return;
 
-    addToast("Task updated successfully!", "success");
+    const undoId = deletePermanently([id], `Delete "${task.title}" forever`);
+    addToast("Task deleted permanently", "info", undoAction(undoId));
   };
 
-  const toggleComplete = (id) => {
-    setTasks((prev) =>
-      prev.map((task) => {
-        if (task.id === id) {
-          const updated = { ...task, completed: !task.completed };
-          if (updated.completed) {
-            // When marking as completed, add to history and it will disappear from main list
-            addToHistory("completed", updated);
-            addToast(`Task completed: "${updated.title}"`, "success");
-
-            // Show push notification for completed task
-            if (notificationPermission === "granted") {
-              showTaskCompleted(updated);
-            }
-          } else {
-            // When un-completing, it will reappear in main list
-            addToHistory("uncompleted", updated);
-            addToast(`Task re-opened: "${updated.title}"`, "info");
-          }
-          return updated;
-        }
-        return task;
-      })
+  const emptyTrash = () => {
+    if (
+      !window.confirm(
+        `Permanently delete all ${trashedTasks.length} tasks in the Trash?`
+      )
+    ) {
+      return;
+    }
+
+    const undoId = deletePermanently(
+      trashedTasks.map((task) => task.id),
+      "Empty Trash"
     );
+    addToast("Trash emptied", "success", undoAction(undoId));
   };
 
-  const deleteTask = (id) => {
-    const taskToDelete = tasks.find((task) => task.id === id);
-    setTasks((prev) => prev.filter((task) => task.id !== id));
-
-    if (taskToDelete) {
-      addToHistory("deleted", taskToDelete);
+  // Rebuilds a deleted task from its activity log entry. Older entries have
+  // no snapshot, so fall back to the fields every entry records, which
+  // match the v1 task shape.
+  const restoreTask = (entry) => {
+    if (tasks.some((task) => task.id === entry.taskId)) {
+      addToast("This task already exists", "warning");
+      return;
     }
 
-    addToast("Task deleted", "info");
+    const restored = entry.snapshot
+      ? { ...migrateTask(entry.snapshot), deletedAtUtc: null }
+      : migrateTask(
+          {
+            id: entry.taskId,
+            title: entry.taskTitle,
+            notes: entry.notes,
+            clientName: entry.clientName,
+            clientCountry: entry.clientCountry,
+            dueUtc: entry.dueUtc,
+            completed: false,
+            createdAtUtc: entry.timestamp,
+          },
+          1
+        );
+
+    const undoId = commitTasks(`Restore "${restored.title}"`, (prev) => [
+      restored,
+      ...prev,
+    ]);
+    addToHistory("restored", restored);
+
+    addToast(
+      restored.completed
+        ? `Restored "${restored.title}" to completed tasks`
+        : `Restored "${restored.title}"`,
+      "success",
+      undoAction(undoId)
+    );
   };
 
-  const exportJson = () => {
+  const exportJson = async () => {
     try {
       const data = {
+        schemaVersion: TASK_SCHEMA_VERSION,
         tasks,
-        history: JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY) || "[]"),
+        projects,
+        history: await taskRepository.getHistory(),
         exportedAt: nowUtcIso(),
         utcTime: getTimeWithTimezone(nowUtcIso(), "UTC"),
       };
 
-      const blob = new Blob([JSON.stringify(data, null, 2)], {
-        type: "application/json;charset=utf-8",
-      });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = `chronotask-backup-${
-        new Date().toISOString().split("T")[0]
-      }.json`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+      downloadFile(
+        JSON.stringify(data, null, 2),
+        `chronotask-backup-${new Date().toISOString().split("T")[0]}.json`,
+        "application/json;charset=utf-8"
+      );
       addToast("Backup exported successfully!", "success");
     } catch (error) {
       addToast("Export failed", "error");
@@ -2066,41 +7741,42 @@ export default function TodoApp() {
     const reader = new FileReader();
     reader.onload = (e) => {
       try {
-        const data = JSON.parse(e.target.result);
-        const tasksToImport = data.tasks || data;
-
-        if (!Array.isArray(tasksToImport)) throw new Error("Invalid format");
-
-        const normalized = tasksToImport.map((task) => ({
-          id: task.id || genId(),
-          title: task.title || "Untitled",
-          notes: task.notes,
-          clientName: task.clientName,
-          clientCountry: task.clientCountry,
-          dueUtc: task.dueUtc || null,
-          completed: !!task.completed,
-          createdAtUtc: task.createdAtUtc || nowUtcIso(),
-        }));
-
-        setTasks((prev) => [...normalized, ...prev]);
-
-        if (data.history && Array.isArray(data.history)) {
-          const existingHistory = JSON.parse(
-            localStorage.getItem(HISTORY_STORAGE_KEY) || "[]"
-          );
-          const mergedHistory = [...data.history, ...existingHistory].slice(
-            0,
-            499
-          );
-          localStorage.setItem(
-            HISTORY_STORAGE_KEY,
-            JSON.stringify(mergedHistory)
-          );
+        const backup = migrateBackup(JSON.parse(e.target.result));
+        const normalized = backup.tasks;
+        const importedIds = new Set(normalized.map((task) => task.id));
+
+        // Imported tasks replace existing ones with the same id
+        const undoId = commitTasks(
+          `Import ${normalized.length} tasks`,
+          (prev) => [
+            ...normalized,
+            ...prev.filter((task) => !importedIds.has(task.id)),
+          ]
+        );
+
+        // Projects we don't know yet come along; existing ones are kept as is
+        const knownProjectIds = new Set(projects.map((p) => p.id));
+        const newProjects = backup.projects.filter(
+          (project) => !knownProjectIds.has(project.id)
+        );
+        if (newProjects.length > 0) {
+          updateSetting("projects", [...projects, ...newProjects]);
+        }
+
+        if (backup.history.length > 0) {
+          taskRepository
+            .addHistoryEntries(
+              backup.history.filter((entry) => entry && entry.id)
+            )
+            .catch((error) => {
+              console.error("Failed to import history:", error);
+            });
         }
 
         addToast(
           `${normalized.length} tasks imported successfully!`,
-          "success"
+          "success",
+          undoAction(undoId)
         );
       } catch (error) {
         addToast("Invalid backup file", "error");
@@ -2118,6 +7794,7 @@ export default function TodoApp() {
             key={toast.id}
             message={toast.message}
             type={toast.type}
+            action={toast.action}
             onClose={() => removeToast(toast.id)}
           />
         ))}
@@ -2139,6 +7816,61 @@ export default function TodoApp() {
         isOpen={showHistory}
         onClose={() => setShowHistory(false)}
         tasks={tasks}
+        projects={projects}
+        onRestore={restoreTask}
+      />
+
+      {/* Trash Panel */}
+      <TrashPanel
+        isOpen={showTrash}
+        onClose={() => setShowTrash(false)}
+        trashedTasks={trashedTasks}
+        retentionDays={settings.trashRetentionDays}
+        onRetentionChange={(days) => updateSetting("trashRetentionDays", days)}
+        onRestore={restoreFromTrash}
+        onDeletePermanently={deleteFromTrash}
+        onEmptyTrash={emptyTrash}
+      />
+
+      <datalist id="timezone-options">
+        {TIMEZONE_OPTIONS.map((timeZone) => (
+          <option key={timeZone} value={timeZone} />
+        ))}
+      </datalist>
+
+      {/* Reminder Settings */}
+      <ReminderSettingsPanel
+        isOpen={showReminderSettings}
+        onClose={() => setShowReminderSettings(false)}
+        reminders={settings.defaultReminders}
+        backgroundStatus={backgroundReminders}
+        onChange={(reminders) =>
+          updateSetting("defaultReminders", normalizeReminders(reminders))
+        }
+      />
+
+      {/* Client Directory */}
+      <ClientDirectoryPanel
+        isOpen={showClients}
+        onClose={() => setShowClients(false)}
+        clients={clients}
+        tasks={tasks}
+        onSave={saveClient}
+        onMerge={mergeClients}
+        onDelete={deleteClient}
+      />
+
+      {/* Billing Report */}
+      <BillingPanel
+        isOpen={showBilling}
+        onClose={() => setShowBilling(false)}
+        tasks={tasks}
+        clientRates={settings.clientRates}
+        onClientRatesChange={(rates) => updateSetting("clientRates", rates)}
+        defaultCurrency={settings.defaultCurrency}
+        onDefaultCurrencyChange={(currency) =>
+          updateSetting("defaultCurrency", currency)
+        }
       />
 
       <div className="max-w-7xl mx-auto">
@@ -2195,6 +7927,10 @@ export default function TodoApp() {
                 <CountdownTimer
                   targetDate={nextUpcomingTask.dueUtc}
                   taskTitle={nextUpcomingTask.title}
+                  clientTimeZone={getTaskTimeZone(
+                    nextUpcomingTask,
+                    clientsById
+                  )}
                 />
               </div>
             </div>
@@ -2220,6 +7956,17 @@ export default function TodoApp() {
                     </strong>
                   </span>
                 </div>
+                {stats.subtasks > 0 && (
+                  <div className="flex items-center gap-2">
+                    <div className="w-2 h-2 bg-indigo-500 rounded-full"></div>
+                    <span>
+                      Checklist:{" "}
+                      <strong className="text-slate-900">
+                        {stats.subtasksDone}/{stats.subtasks}
+                      </strong>
+                    </span>
+                  </div>
+                )}
                 {stats.overdue > 0 && (
                   <div className="flex items-center gap-2">
                     <div className="w-2 h-2 bg-rose-500 rounded-full animate-pulse"></div>
@@ -2248,9 +7995,137 @@ export default function TodoApp() {
           </div>
         </header>
 
+        <MissedRemindersBanner
+          groups={missedReminders}
+          onDismiss={dismissMissedReminders}
+        />
+
         <main className="grid grid-cols-1 xl:grid-cols-4 gap-6">
           {/* Sidebar - Form & Controls */}
           <div className="xl:col-span-1 space-y-6">
+            {/* Projects */}
+            <section className="bg-white/80 backdrop-blur-sm rounded-3xl shadow-lg border border-slate-200/60 p-6">
+              <div className="flex items-center gap-2 mb-4">
+                <div className="w-2 h-2 bg-indigo-500 rounded-full"></div>
+                <h2 className="text-xl font-semibold text-slate-900">
+                  Projects
+                </h2>
+              </div>
+
+              <ul className="space-y-1">
+                {[{ id: "all", name: "All Projects" }, ...projects]
+                  .filter((project) => !project.archived)
+                  .map((project) => {
+                    const projectCounts =
+                      project.id === "all" ? stats : projectStats[project.id];
+                    const isSelected = selectedProjectId === project.id;
+
+                    return (
+                      <li key={project.id} className="group flex gap-1">
+                        <button
+                          onClick={() => selectProject(project.id)}
+                          className={`flex-1 flex items-center justify-between gap-2 px-3 py-2 rounded-lg text-sm text-left transition-all duration-200 ${
+                            isSelected
+                              ? "bg-indigo-50 text-indigo-700 font-semibold"
+                              : "text-slate-700 hover:bg-slate-50"
+                          }`}
+                        >
+                          <span className="truncate">
+                            {project.id === "all"
+                              ? "🗂️"
+                              : project.id === INBOX_PROJECT_ID
+                              ? "📥"
+                              : "📁"}{" "}
+                            {project.name}
+                          </span>
+                          <span className="flex items-center gap-1 text-xs">
+                            {projectCounts.overdue > 0 && (
+                              <span
+                                className="px-1.5 py-0.5 bg-rose-100 text-rose-700 rounded-full"
+                                title="Overdue"
+                              >
+                                {projectCounts.overdue}
+                              </span>
+                            )}
+                            <span
+                              className="px-1.5 py-0.5 bg-slate-100 text-slate-600 rounded-full"
+                              title={`${projectCounts.active} active, ${projectCounts.completed} completed`}
+                            >
+                              {projectCounts.active}
+                            </span>
+                          </span>
+                        </button>
+                        {project.id !== "all" &&
+                          project.id !== INBOX_PROJECT_ID && (
+                            <button
+                              onClick={() =>
+                                setProjectArchived(project.id, true)
+                              }
+                              className="px-2 text-slate-400 hover:text-slate-700 opacity-0 group-hover:opacity-100 transition-all duration-200"
+                              title="Archive project"
+                            >
+                              🗄️
+                            </button>
+                          )}
+                      </li>
+                    );
+                  })}
+              </ul>
+
+              <form onSubmit={addProject} className="flex gap-2 mt-4">
+                <input
+                  value={newProjectName}
+                  onChange={(e) => setNewProjectName(e.target.value)}
+                  placeholder="New project..."
+                  className="flex-1 min-w-0 px-3 py-2 text-sm border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+                />
+                <button
+                  type="submit"
+                  disabled={!newProjectName.trim()}
+                  className="px-3 py-2 text-sm bg-indigo-500 text-white rounded-lg font-medium hover:bg-indigo-600 transition-all duration-200 disabled:opacity-50"
+                >
+                  Add
+                </button>
+              </form>
+
+              {projects.some((project) => project.archived) && (
+                <div className="mt-4">
+                  <button
+                    onClick={() => setShowArchivedProjects((prev) => !prev)}
+                    className="text-sm text-slate-500 hover:text-slate-700"
+                  >
+                    {showArchivedProjects ? "▾" : "▸"} Archived (
+                    {projects.filter((project) => project.archived).length})
+                  </button>
+                  {showArchivedProjects && (
+                    <ul className="mt-2 space-y-1">
+                      {projects
+                        .filter((project) => project.archived)
+                        .map((project) => (
+                          <li
+                            key={project.id}
+                            className="flex items-center justify-between gap-2 px-3 py-2 text-sm text-slate-500 bg-slate-50 rounded-lg"
+                          >
+                            <span className="truncate">
+                              🗄️ {project.name} (
+                              {projectStats[project.id].total})
+                            </span>
+                            <button
+                              onClick={() =>
+                                setProjectArchived(project.id, false)
+                              }
+                              className="text-xs text-indigo-600 hover:text-indigo-800 font-medium"
+                            >
+                              Unarchive
+                            </button>
+                          </li>
+                        ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </section>
+
             {/* Add Task Form */}
             <section className="bg-white/80 backdrop-blur-sm rounded-3xl shadow-lg border border-slate-200/60 p-6">
               <div className="flex items-center gap-2 mb-4">
@@ -2280,11 +8155,15 @@ export default function TodoApp() {
                     <label className="block text-sm font-medium text-slate-700 mb-2">
                       👤 Client Name
                     </label>
-                    <input
+                    <ClientPicker
                       value={clientName}
-                      onChange={(e) => setClientName(e.target.value)}
+                      onChange={setClientName}
+                      onSelect={(client) => {
+                        setClientName(client.name);
+                        setClientCountry(client.country || "");
+                      }}
+                      clients={clients}
                       className="w-full px-4 py-3 rounded-xl border border-slate-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-white/50"
-                      placeholder="Client name"
                       disabled={isLoading}
                     />
                   </div>
@@ -2302,6 +8181,57 @@ export default function TodoApp() {
                   </div>
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">
+                    🚩 Priority
+                  </label>
+                  <select
+                    value={priority}
+                    onChange={(e) => setPriority(Number(e.target.value))}
+                    className="w-full px-4 py-3 rounded-xl border border-slate-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-white/50"
+                    disabled={isLoading}
+                  >
+                    {Object.entries(PRIORITY_LEVELS).map(([value, level]) => (
+                      <option key={value} value={value}>
+                        {level.label} · {level.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">
+                    📁 Project
+                  </label>
+                  <select
+                    value={newTaskProjectId}
+                    onChange={(e) => setNewTaskProjectId(e.target.value)}
+                    className="w-full px-4 py-3 rounded-xl border border-slate-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-white/50"
+                    disabled={isLoading}
+                  >
+                    {projects
+                      .filter((project) => !project.archived)
+                      .map((project) => (
+                        <option key={project.id} value={project.id}>
+                          {project.name}
+                        </option>
+                      ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">
+                    🏷️ Tags
+                  </label>
+                  <TagInput
+                    value={tags}
+                    onChange={setTags}
+                    suggestions={allTags}
+                    disabled={isLoading}
+                    className="w-full px-4 py-3 rounded-xl border border-slate-300 focus-within:ring-2 focus-within:ring-blue-500 transition-all duration-200 bg-white/50"
+                  />
+                </div>
+
                 <div>
                   <label className="block text-sm font-medium text-slate-700 mb-2">
                     Notes (Optional)
@@ -2318,7 +8248,7 @@ export default function TodoApp() {
 
                 <div>
                   <label className="block text-sm font-medium text-slate-700 mb-2">
-                    Due Date & Time (UTC)
+                    Due Date & Time ({dueTimeZone || "choose a timezone"})
                   </label>
 
                   {/* Timezone Info Banner */}
@@ -2356,11 +8286,7 @@ export default function TodoApp() {
                           <div className="flex items-center gap-2">
                             <span className="w-2 h-2 bg-blue-500 rounded-full"></span>
                             <span>
-                              UTC:{" "}
-                              {getTimeWithTimezone(
-                                datetimeLocalToUtcIso(dueLocalInputValue),
-                                "UTC"
-                              )}
+                              UTC: {getTimeWithTimezone(dueUtcPreview, "UTC")}
                             </span>
                           </div>
                           <div className="flex items-center gap-2">
@@ -2368,35 +8294,139 @@ export default function TodoApp() {
                             <span>
                               Your Local:{" "}
                               {formatForDisplay(
-                                datetimeLocalToUtcIso(dueLocalInputValue),
+                                dueUtcPreview,
                                 currentTime.userTimezone,
                                 true
                               )}
                             </span>
                           </div>
+                          {dueTimeZone &&
+                            dueTimeZone !== "UTC" &&
+                            dueTimeZone !== currentTime.userTimezone && (
+                              <div className="flex items-center gap-2">
+                                <span className="w-2 h-2 bg-purple-500 rounded-full"></span>
+                                <span>
+                                  {dueTimeZone}:{" "}
+                                  {formatForDisplay(
+                                    dueUtcPreview,
+                                    dueTimeZone,
+                                    true
+                                  )}
+                                </span>
+                              </div>
+                            )}
                         </div>
                       </div>
                     </div>
                   )}
 
-                  <div className="flex items-center gap-3 mt-3 p-3 bg-slate-50 rounded-xl border border-slate-200">
+                  <div className="mt-3 p-3 bg-slate-50 rounded-xl border border-slate-200 space-y-2">
+                    <label
+                      htmlFor="dueTimeZoneMode"
+                      className="block text-sm text-slate-700"
+                    >
+                      Interpret input in
+                    </label>
+                    <select
+                      id="dueTimeZoneMode"
+                      value={dueTimeZoneMode}
+                      onChange={(e) => setDueTimeZoneMode(e.target.value)}
+                      className="w-full px-3 py-2 rounded-lg border border-slate-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white text-sm"
+                      disabled={isLoading}
+                    >
+                      <option value="utc">UTC (recommended for teams)</option>
+                      <option value="local">
+                        My local time ({currentTime.userTimezone})
+                      </option>
+                      <option value="client" disabled={!clientDueTimeZone}>
+                        {clientDueTimeZone
+                          ? `Client's time (${clientDueTimeZone})`
+                          : "Client's time (no timezone in directory)"}
+                      </option>
+                      <option value="custom">Another timezone...</option>
+                    </select>
+                    {dueTimeZoneMode === "custom" && (
+                      <input
+                        value={customDueTimeZone}
+                        onChange={(e) => setCustomDueTimeZone(e.target.value)}
+                        list="timezone-options"
+                        placeholder="e.g. Europe/Berlin"
+                        className="w-full px-3 py-2 rounded-lg border border-slate-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white text-sm"
+                        disabled={isLoading}
+                      />
+                    )}
+                    {!dueTimeZone && (
+                      <p className="text-xs text-rose-600">
+                        {dueTimeZoneMode === "client"
+                          ? "This client has no timezone yet"
+                          : "Not a known IANA timezone"}
+                      </p>
+                    )}
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">
+                    🔁 Repeat
+                  </label>
+                  <RecurrenceEditor
+                    value={recurrence}
+                    onChange={setRecurrence}
+                    referenceIso={dueUtcPreview}
+                    timeZone={dueTimeZone || undefined}
+                    disabled={isLoading}
+                  />
+                </div>
+
+                <div className="p-3 bg-slate-50 rounded-xl border border-slate-200 space-y-2">
+                  <label className="flex items-center gap-3 text-sm text-slate-700">
                     <input
-                      id="interpretUtc"
                       type="checkbox"
-                      checked={interpretAsUtc}
-                      onChange={(e) => setInterpretAsUtc(e.target.checked)}
+                      checked={taskReminders !== null}
+                      onChange={(e) =>
+                        setTaskReminders(
+                          e.target.checked
+                            ? getTaskReminders(
+                                { priority, reminders: null },
+                                settings.defaultReminders
+                              )
+                            : null
+                        )
+                      }
                       className="rounded text-blue-600 focus:ring-blue-500 w-4 h-4"
                       disabled={isLoading}
                     />
-                    <label
-                      htmlFor="interpretUtc"
-                      className="text-sm text-slate-700"
-                    >
-                      Interpret input as UTC (recommended for teams)
-                    </label>
-                  </div>
+                    🔔 Custom reminders for this task
+                  </label>
+                  {taskReminders !== null ? (
+                    <ReminderEditor
+                      value={taskReminders}
+                      onChange={setTaskReminders}
+                      disabled={isLoading}
+                    />
+                  ) : (
+                    <p className="text-xs text-slate-500">
+                      {describeReminders(
+                        getTaskReminders(
+                          { priority, reminders: null },
+                          settings.defaultReminders
+                        )
+                      )}
+                    </p>
+                  )}
                 </div>
 
+                <label className="flex items-center gap-3 p-3 bg-slate-50 rounded-xl border border-slate-200 text-sm text-slate-700">
+                  <input
+                    type="checkbox"
+                    checked={billable}
+                    onChange={(e) => setBillable(e.target.checked)}
+                    className="rounded text-blue-600 focus:ring-blue-500 w-4 h-4"
+                    disabled={isLoading}
+                  />
+                  💵 Billable to the client
+                </label>
+
                 <button
                   type="submit"
                   disabled={isLoading || !title.trim()}
@@ -2483,7 +8513,7 @@ export default function TodoApp() {
                         d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"
                       />
                     </svg>
-                    Clear All History
+                    Clear Completed
                   </button>
 
                   <button
@@ -2494,6 +8524,38 @@ export default function TodoApp() {
                     View History
                   </button>
                 </div>
+
+                <button
+                  onClick={() => setShowClients(true)}
+                  className="w-full flex items-center gap-2 px-3 py-2 bg-blue-50 text-blue-700 rounded-lg hover:bg-blue-100 transition-all duration-200 border border-blue-200 text-sm font-medium"
+                >
+                  <span>👥</span>
+                  Client Directory ({clients.length})
+                </button>
+
+                <button
+                  onClick={() => setShowBilling(true)}
+                  className="w-full flex items-center gap-2 px-3 py-2 bg-emerald-50 text-emerald-700 rounded-lg hover:bg-emerald-100 transition-all duration-200 border border-emerald-200 text-sm font-medium"
+                >
+                  <span>💵</span>
+                  Billable Hours & Invoices
+                </button>
+
+                <button
+                  onClick={() => setShowReminderSettings(true)}
+                  className="w-full flex items-center gap-2 px-3 py-2 bg-amber-50 text-amber-700 rounded-lg hover:bg-amber-100 transition-all duration-200 border border-amber-200 text-sm font-medium"
+                >
+                  <span>🔔</span>
+                  Reminder Settings
+                </button>
+
+                <button
+                  onClick={() => setShowTrash(true)}
+                  className="w-full flex items-center gap-2 px-3 py-2 bg-slate-50 text-slate-700 rounded-lg hover:bg-slate-100 transition-all duration-200 border border-slate-200 text-sm font-medium"
+                >
+                  <span>🗑️</span>
+                  Trash ({trashedTasks.length})
+                </button>
               </div>
             </section>
           </div>
@@ -2523,7 +8585,7 @@ export default function TodoApp() {
                     <input
                       value={query}
                       onChange={(e) => setQuery(e.target.value)}
-                      placeholder="Search active tasks, clients, notes..."
+                      placeholder="Search active tasks, clients, notes, #tags..."
                       className="w-full pl-10 pr-4 py-3 rounded-xl border border-slate-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-white/50"
                     />
                   </div>
@@ -2537,26 +8599,109 @@ export default function TodoApp() {
                     <option value="active">Active Only</option>
                   </select>
 
+                  <select
+                    value={priorityFilter}
+                    onChange={(e) => setPriorityFilter(e.target.value)}
+                    className="px-4 py-3 rounded-xl border border-slate-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-white/50"
+                  >
+                    <option value="all">All Priorities</option>
+                    {Object.entries(PRIORITY_LEVELS).map(([value, level]) => (
+                      <option key={value} value={value}>
+                        {level.label} · {level.name}
+                      </option>
+                    ))}
+                  </select>
+
                   <select
                     value={sortBy}
                     onChange={(e) => setSortBy(e.target.value)}
                     className="px-4 py-3 rounded-xl border border-slate-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-white/50"
                   >
                     <option value="due">Sort by Due Date</option>
+                    <option value="priority">Sort by Priority</option>
                     <option value="created">Sort by Created</option>
                     <option value="title">Sort by Title</option>
                     <option value="client">Sort by Client</option>
                   </select>
+
+                  {allTags.length > 0 && (
+                    <select
+                      value={tagMatch}
+                      onChange={(e) => setTagMatch(e.target.value)}
+                      className="px-4 py-3 rounded-xl border border-slate-300 focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-white/50"
+                      title="How selected tags are combined"
+                    >
+                      <option value="any">Any Tag (OR)</option>
+                      <option value="all">All Tags (AND)</option>
+                    </select>
+                  )}
                 </div>
 
-                <div className="text-sm text-slate-600 bg-slate-50 px-4 py-2 rounded-lg border border-slate-200">
-                  Showing {filteredTasks.length} active tasks
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => undoChange()}
+                    disabled={!canUndo}
+                    title={
+                      canUndo
+                        ? `Undo: ${undoLabel} (Ctrl+Z)`
+                        : "Nothing to undo"
+                    }
+                    className="px-3 py-2 text-sm text-slate-700 bg-slate-50 rounded-lg border border-slate-200 hover:bg-slate-100 transition-all duration-200 disabled:opacity-50"
+                  >
+                    ↶ Undo
+                  </button>
+                  <button
+                    onClick={redoChange}
+                    disabled={!canRedo}
+                    title={
+                      canRedo
+                        ? `Redo: ${redoLabel} (Ctrl+Shift+Z)`
+                        : "Nothing to redo"
+                    }
+                    className="px-3 py-2 text-sm text-slate-700 bg-slate-50 rounded-lg border border-slate-200 hover:bg-slate-100 transition-all duration-200 disabled:opacity-50"
+                  >
+                    ↷ Redo
+                  </button>
+                  <div className="text-sm text-slate-600 bg-slate-50 px-4 py-2 rounded-lg border border-slate-200">
+                    Showing {filteredTasks.length} active tasks
+                    {selectedProjectId !== "all" &&
+                      ` in ${projectNames[selectedProjectId]}`}
+                  </div>
                 </div>
               </div>
 
+              {/* Tag Filter */}
+              {allTags.length > 0 && (
+                <div className="flex flex-wrap items-center gap-2 mb-6">
+                  <span className="text-sm font-medium text-slate-600">
+                    🏷️ Tags:
+                  </span>
+                  {allTags.map((tag) => (
+                    <TagChip
+                      key={tag}
+                      tag={tag}
+                      active={tagFilter.includes(tag)}
+                      onClick={() => toggleTagFilter(tag)}
+                    />
+                  ))}
+                  {tagFilter.length > 0 && (
+                    <button
+                      onClick={() => setTagFilter([])}
+                      className="text-xs text-slate-500 hover:text-slate-700 underline"
+                    >
+                      Clear
+                    </button>
+                  )}
+                </div>
+              )}
+
               {/* Active Tasks List */}
               <div className="space-y-4">
-                {filteredTasks.length === 0 ? (
+                {!isTasksLoaded ? (
+                  <div className="flex justify-center py-12">
+                    <LoadingSpinner size="lg" />
+                  </div>
+                ) : filteredTasks.length === 0 ? (
                   <div className="text-center py-12">
                     <div className="text-6xl mb-4 text-slate-300">🎯</div>
                     <h3 className="text-xl font-semibold text-slate-900 mb-2">
@@ -2588,6 +8733,22 @@ export default function TodoApp() {
                         onEdit={() => {}}
                         onDelete={deleteTask}
                         onUpdate={updateTask}
+                        tagSuggestions={allTags}
+                        projects={projects}
+                        tasksById={tasksById}
+                        dependencyOptions={activeTasks}
+                        clients={clients}
+                        clientTimeZone={getTaskTimeZone(task, clientsById)}
+                        onStartTimer={startTimer}
+                        onStopTimer={stopTimer}
+                        onTimeEntriesChange={updateTimeEntries}
+                        onSnooze={snoozeTask}
+                        defaultReminders={settings.defaultReminders}
+                        projectName={
+                          selectedProjectId === "all"
+                            ? projectNames[task.projectId] || "Inbox"
+                            : null
+                        }
                       />
                     ))}
                   </ul>
@@ -2623,7 +8784,7 @@ export default function TodoApp() {
             <p>
               ChronoTask Pro • Active: {stats.active} • Completed:{" "}
               {stats.completed} • Storage:{" "}
-              <code className="text-xs">{STORAGE_KEY}</code>
+              <code className="text-xs">IndexedDB/{DB_NAME}</code>
             </p>
             {isStandalone && (
               <p className="text-emerald-600 font-medium mt-2">
@@ -2635,6 +8796,22 @@ export default function TodoApp() {
                 🔔 Push Notifications Enabled
               </p>
             )}
+            {isSupported && notificationPermission === "granted" && (
+              <p className="text-slate-500 mt-1">
+                {isReminderLeader
+                  ? "⏰ Reminders are delivered from this window"
+                  : "⏰ Reminders are delivered from another open window"}
+              </p>
+            )}
+            <p
+              className={`font-medium mt-1 ${
+                BACKGROUND_REMINDER_STATES[backgroundReminders.state].color
+              }`}
+              title={backgroundReminders.detail}
+            >
+              {BACKGROUND_REMINDER_STATES[backgroundReminders.state].icon}{" "}
+              {BACKGROUND_REMINDER_STATES[backgroundReminders.state].label}
+            </p>
             {isMobile && (
               <p className="text-blue-600 font-medium mt-1">
                 📱 Mobile Browser Detected